@@ -0,0 +1,361 @@
+// Altu backend - holds the LLM provider keys and builds the prompts so neither ships in
+// the browser bundle. Run with `npm run dev:backend`; in development the React
+// dev server proxies /api to it (see "proxy" in package.json)
+import express from 'express'
+import cors from 'cors'
+import { existsSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { buildAskRequest, buildChartRequest, buildRetryRequest, buildRewordRequest } from './server/prompts.js'
+import { createDataApi } from './server/dataApi.js'
+import { createUsageApi } from './server/usageApi.js'
+import { answerCacheKey, getCachedAnswer, cacheAnswer } from './server/cache.js'
+import { recordUsage } from './server/usage.js'
+import { HttpError } from './server/errors.js'
+import { readChoice } from './server/env.js'
+import { complete, streamCompletion } from './server/llm.js'
+import { describeToolCall } from './server/tools.js'
+import { verifyAnswer } from './server/verification.js'
+import { answerFromRules } from './server/answerEngine.js'
+import { chartFromToolCalls } from './server/charts.js'
+import { normalizeChartSpec } from './src/utils/chartSpec.js'
+import { followUpQuestions, chartQuestions } from './src/utils/suggestions.js'
+
+// Picks up OPENAI_API_KEY, LLM_PROVIDER etc. from .env when present
+try {
+  process.loadEnvFile()
+} catch (error) {
+  if (error.code !== 'ENOENT') throw error
+}
+
+const PORT = process.env.API_PORT || 3001
+const BUILD_DIR = fileURLToPath(new URL('./build', import.meta.url))
+// Earlier turns of an Ask Altu thread sent as context; older ones are dropped
+const MAX_HISTORY_TURNS = 10
+// Answers with figures that don't match the data are asked for again this many
+// times; whatever is left is flagged to the user
+const MAX_VERIFY_RETRIES = 1
+// What Ask Altu does with questions the rule engine can answer (see
+// server/answerEngine.js), set with ASK_RULES: answer them without the LLM,
+// reword (have the LLM reword the computed answer, falling back to it as is) or
+// off (always ask the LLM)
+const RULE_MODES = ['answer', 'reword', 'off']
+
+function readHistory(history) {
+  if (history === undefined) return []
+  if (!Array.isArray(history)) throw new HttpError(400, 'history must be an array')
+  history.forEach(turn => {
+    if (typeof turn?.question !== 'string' || typeof turn.answer !== 'string') {
+      throw new HttpError(400, 'each history entry needs a question and an answer')
+    }
+  })
+  return history.slice(-MAX_HISTORY_TURNS).map(({ question, answer, insights }) => ({
+    question,
+    answer,
+    insights: typeof insights === 'string' ? insights : '',
+  }))
+}
+
+// The calendar settings the prompts use: an IANA time zone ('' for the server's
+// own) and the day weeks start on (0 for Sunday to 6 for Saturday)
+function readSettings(settings) {
+  if (settings === undefined) return {}
+  if (!settings || typeof settings !== 'object') throw new HttpError(400, 'settings must be an object')
+  const { timeZone = '', weekStart = 0 } = settings
+  if (typeof timeZone !== 'string') throw new HttpError(400, 'settings.timeZone must be a string')
+  if (timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone })
+    } catch (error) {
+      throw new HttpError(400, `Unknown time zone "${timeZone}"`)
+    }
+  }
+  if (!Number.isInteger(weekStart) || weekStart < 0 || weekStart > 6) {
+    throw new HttpError(400, 'settings.weekStart must be a whole number from 0 (Sunday) to 6 (Saturday)')
+  }
+  return { timeZone, weekStart }
+}
+
+// Checks the body every LLM endpoint shares: a question plus the data loaded in the browser
+function readAskBody(body) {
+  const { question, history, metrics, healthData, screenTimeData, settings } = body || {}
+  if (typeof question !== 'string' || !question.trim()) throw new HttpError(400, 'question is required')
+  if (!metrics?.health || !metrics?.screenTime) throw new HttpError(400, 'metrics must include health and screenTime')
+  if (!Array.isArray(healthData)) throw new HttpError(400, 'healthData must be an array')
+  if (!Array.isArray(screenTimeData)) throw new HttpError(400, 'screenTimeData must be an array')
+  return {
+    question: question.trim(),
+    history: readHistory(history),
+    metrics,
+    healthData,
+    screenTimeData,
+    settings: readSettings(settings),
+  }
+}
+
+// The spec of the Dashboard chart a question is about (see src/utils/chartSpec.js)
+function readChart(chart) {
+  if (!chart || typeof chart !== 'object') throw new HttpError(400, 'chart is required')
+  try {
+    return normalizeChartSpec(chart)
+  } catch (error) {
+    throw new HttpError(400, error.message)
+  }
+}
+
+// The pre-computed insights plus the results of any tools the model called, kept
+// with the answer so follow-up questions can build on them
+function combineInsights(insights, toolCalls) {
+  return [insights, ...toolCalls.map(describeToolCall)].filter(Boolean).join('\n')
+}
+
+// The endpoints' prompt plus the records the model's tool calls run against
+function withData(request, { healthData, screenTimeData }) {
+  return { ...request, data: { healthData, screenTimeData } }
+}
+
+// Questions to offer after an answer: more about the same chart for a chart
+// question, otherwise from the parsed question and the data
+function suggestFollowUps(request, { question, healthData, screenTimeData }) {
+  const data = { healthData, screenTimeData }
+  return request.chart ? chartQuestions(request.chart, data, question) : followUpQuestions(request.query, data, question)
+}
+
+// Checks an answer against what the model was given and the user's records (see
+// server/verification.js)
+function verify(answer, request, toolCalls, body, retries) {
+  return { ...verifyAnswer(answer, { request, toolCalls, ...body }), retried: retries > 0 }
+}
+
+// Asks for an answer and checks it, asking again with the mismatches pointed out
+// when it doesn't match the data. Resolves to { answer, toolCalls, verification }
+async function completeVerified(site, request, body) {
+  const toolCalls = []
+  let attempt = request
+  for (let retries = 0; ; retries++) {
+    const { content, toolCalls: called } = await complete(site, attempt)
+    toolCalls.push(...called)
+    const verification = verify(content, request, toolCalls, body, retries)
+    if (!verification.mismatches.length || retries === MAX_VERIFY_RETRIES) {
+      return { answer: content, toolCalls, verification }
+    }
+    attempt = buildRetryRequest(request, content, verification.mismatches, toolCalls)
+  }
+}
+
+// With { stream: true } in the body, answers are sent as newline-delimited JSON
+// events: start (with the insights), delta (text as it arrives), tool (a tool the
+// model called, with its arguments and result), then done (with the insights
+// including tool results, the chart if the model drew one, suggested follow-up
+// questions, the verification and the source, 'llm') - or error if the provider fails
+// part way, so the client keeps what it already has. When the finished answer
+// doesn't match the data a retry event (with the mismatches) is sent and the
+// answer streams again from the start. The provider request is aborted when the
+// client disconnects. Answers that pass the check are cached under cacheKey
+async function streamAnswer(res, site, request, body, cacheKey) {
+  const controller = new AbortController()
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort()
+  })
+  let events = streamCompletion(site, request, controller.signal)
+  // Wait for the first event so failures before any text still get a plain JSON error
+  let next = await events.next()
+  res.type('application/x-ndjson')
+  const send = (event) => res.write(`${JSON.stringify(event)}\n`)
+  send({ type: 'start', insights: request.insights || '' })
+  const toolCalls = []
+  try {
+    for (let retries = 0; ; retries++) {
+      let answer = ''
+      while (!next.done) {
+        if (next.value.type === 'text') {
+          answer += next.value.text
+          send({ type: 'delta', text: next.value.text })
+        } else {
+          toolCalls.push(next.value.call)
+          send({ type: 'tool', call: next.value.call })
+        }
+        next = await events.next()
+      }
+      if (controller.signal.aborted) break
+      const verification = verify(answer, request, toolCalls, body, retries)
+      if (!verification.mismatches.length || retries === MAX_VERIFY_RETRIES) {
+        const insights = combineInsights(request.insights, toolCalls)
+        const chart = chartFromToolCalls(toolCalls)
+        const suggestions = suggestFollowUps(request, body)
+        if (!verification.mismatches.length) cacheAnswer(cacheKey, { answer, insights, chart, suggestions, toolCalls, verification, source: 'llm' })
+        send({ type: 'done', insights, chart, suggestions, verification, source: 'llm' })
+        break
+      }
+      send({ type: 'retry', mismatches: verification.mismatches })
+      events = streamCompletion(site, buildRetryRequest(request, answer, verification.mismatches, toolCalls), controller.signal)
+      next = await events.next()
+    }
+  } catch (error) {
+    if (error instanceof HttpError) {
+      send({ type: 'error', error: error.message })
+    } else {
+      console.error(error)
+      send({ type: 'error', error: 'Internal server error' })
+    }
+  }
+  res.end()
+}
+
+// Sends an answer that is already complete in the shape the client asked for:
+// JSON, or the stream events with the whole text in a single delta
+function sendComplete(res, { answer, toolCalls, ...rest }, stream) {
+  if (!stream) {
+    res.json({ answer, toolCalls, ...rest })
+    return
+  }
+  res.type('application/x-ndjson')
+  const send = (event) => res.write(`${JSON.stringify(event)}\n`)
+  send({ type: 'start', insights: rest.insights })
+  toolCalls.forEach(call => send({ type: 'tool', call }))
+  send({ type: 'delta', text: answer })
+  send({ type: 'done', ...rest })
+  res.end()
+}
+
+// Replays a cached answer, marked cached. It costs nothing, so it is served even
+// when the daily budget is used up
+function sendCached(res, site, cached, stream) {
+  recordUsage({ site, cached: true })
+  sendComplete(res, { ...cached, cached: true }, stream)
+}
+
+// The figures in a piece of text, e.g. ['2,292', '38', '12', '2']
+const figuresIn = (text) => text.match(/\d[\d,.]*\d|\d/g) || []
+
+// An answer the rule engine worked out from the data. There is nothing to verify
+// and, as it costs nothing, nothing to cache. In reword mode the LLM rewords it
+// first (not streamed, and the rewording is cached); if that fails - no key, over budget, provider down - or a
+// figure changed or went missing, the computed answer is sent as it is
+async function ruleResponse(ruled, request, body, mode, cacheKey) {
+  const response = {
+    answer: ruled.answer,
+    insights: request.insights,
+    chart: ruled.chart || null,
+    suggestions: suggestFollowUps(request, body),
+    toolCalls: [],
+    verification: null,
+    source: 'rules',
+  }
+  if (mode !== 'reword') return response
+  const reword = buildRewordRequest(body, ruled.answer)
+  try {
+    const { content } = await complete('ask', reword)
+    const verification = verify(content, reword, [], body, 0)
+    const kept = figuresIn(content)
+    const dropped = figuresIn(ruled.answer).some(figure => !kept.includes(figure))
+    if (dropped || verification.mismatches.length) return response
+    const reworded = { ...response, answer: content, verification, source: 'reworded' }
+    cacheAnswer(cacheKey, reworded)
+    return reworded
+  } catch (error) {
+    if (!(error instanceof HttpError)) throw error
+    return response
+  }
+}
+
+const app = express()
+app.use(cors({ origin: process.env.CORS_ORIGIN || 'http://localhost:3000' }))
+// A year of daily health and per-app screen time records fits comfortably
+app.use(express.json({ limit: '5mb' }))
+
+app.post('/api/ask', async (req, res, next) => {
+  try {
+    const body = readAskBody(req.body)
+    const cacheKey = answerCacheKey('ask', body)
+    const cached = getCachedAnswer(cacheKey)
+    if (cached) {
+      sendCached(res, 'ask', cached, req.body.stream)
+      return
+    }
+    const request = withData(buildAskRequest(body), body)
+    const mode = readChoice('ASK_RULES', RULE_MODES, 'answer')
+    const ruled = mode !== 'off' && answerFromRules(body.question, request.query, body)
+    if (ruled) {
+      sendComplete(res, await ruleResponse(ruled, request, body, mode, cacheKey), req.body.stream)
+      return
+    }
+    if (req.body.stream) {
+      await streamAnswer(res, 'ask', request, body, cacheKey)
+      return
+    }
+    const { answer, toolCalls, verification } = await completeVerified('ask', request, body)
+    const response = {
+      answer,
+      insights: combineInsights(request.insights, toolCalls),
+      chart: chartFromToolCalls(toolCalls),
+      suggestions: suggestFollowUps(request, body),
+      toolCalls,
+      verification,
+      source: 'llm',
+    }
+    if (!verification.mismatches.length) cacheAnswer(cacheKey, response)
+    res.json(response)
+  } catch (error) {
+    next(error)
+  }
+})
+
+app.post('/api/ask-chart', async (req, res, next) => {
+  try {
+    const chart = readChart(req.body.chart)
+    const body = readAskBody(req.body)
+    const cacheKey = answerCacheKey('chart', body, chart)
+    const cached = getCachedAnswer(cacheKey)
+    if (cached) {
+      sendCached(res, 'chart', cached, req.body.stream)
+      return
+    }
+    const request = withData(buildChartRequest({ ...body, chart }), body)
+    if (req.body.stream) {
+      await streamAnswer(res, 'chart', request, body, cacheKey)
+      return
+    }
+    const { answer, toolCalls, verification } = await completeVerified('chart', request, body)
+    const response = {
+      answer,
+      insights: combineInsights(request.insights, toolCalls),
+      chart: chartFromToolCalls(toolCalls),
+      suggestions: suggestFollowUps(request, body),
+      toolCalls,
+      verification,
+      source: 'llm',
+    }
+    if (!verification.mismatches.length) cacheAnswer(cacheKey, response)
+    res.json(response)
+  } catch (error) {
+    next(error)
+  }
+})
+
+app.use('/api', createDataApi())
+app.use('/api', createUsageApi())
+
+// Unknown API routes get a JSON 404 rather than falling through to the static files
+app.use('/api', (req, res, next) => {
+  next(new HttpError(404, `No API endpoint at ${req.method} ${req.originalUrl.split('?')[0]}`))
+})
+
+// Serves the production build when there is one, so a single process runs the whole app
+if (existsSync(BUILD_DIR)) {
+  app.use(express.static(BUILD_DIR))
+}
+
+// Errors are always JSON so the client can show the message. Body parser errors
+// (bad JSON, too large) are marked expose and are safe to pass on as well
+app.use((error, req, res, next) => {
+  if (error instanceof HttpError || error.expose) {
+    res.status(error.status).json({ error: error.message })
+    return
+  }
+  console.error(error)
+  res.status(500).json({ error: 'Internal server error' })
+})
+
+app.listen(PORT, () => {
+  console.log(`Altu backend listening on http://localhost:${PORT}`)
+})
@@ -0,0 +1,189 @@
+// Analytics over the loaded health and screen time records. Used to pre-compute
+// insights for the prompts and run as tools the model can call (see tools.js)
+import { isWeekend, addDays } from '../src/utils/dates.js'
+
+export const HEALTH_METRICS = ['steps', 'sleep', 'energy', 'workout']
+
+export const DAILY_METRICS = [...HEALTH_METRICS, 'screenTime']
+
+const average = (values) => (values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : 0)
+
+// Inclusive date range; either end may be left open
+export function filterRange(records, { from, to } = {}) {
+  return records.filter(record => (!from || record.date >= from) && (!to || record.date <= to))
+}
+
+// Records in a parsed question's resolved time window (see queryParser.js); all of
+// them when the question has none
+export const inWindow = (records, timeWindow) => (timeWindow ? filterRange(records, timeWindow) : records)
+
+// Compute weekday vs weekend statistics for a specific app
+export function computeAppWeekdayWeekendStats(appName, screenTimeData) {
+  const appData = screenTimeData.filter(item => 
+    item.app.toLowerCase() === appName.toLowerCase()
+  )
+  
+  const weekdayData = []
+  const weekendData = []
+  
+  appData.forEach(item => {
+    if (isWeekend(item.date)) {
+      weekendData.push({ date: item.date, minutes: item.minutes })
+    } else {
+      weekdayData.push({ date: item.date, minutes: item.minutes })
+    }
+  })
+  
+  const weekdayTotal = weekdayData.reduce((sum, d) => sum + d.minutes, 0)
+  const weekendTotal = weekendData.reduce((sum, d) => sum + d.minutes, 0)
+  const weekdayAvg = weekdayData.length > 0 ? Math.round(weekdayTotal / weekdayData.length) : 0
+  const weekendAvg = weekendData.length > 0 ? Math.round(weekendTotal / weekendData.length) : 0
+  
+  return {
+    appName,
+    weekday: {
+      days: weekdayData.length,
+      totalMinutes: weekdayTotal,
+      avgMinutes: weekdayAvg,
+      dailyBreakdown: weekdayData.sort((a, b) => a.date.localeCompare(b.date))
+    },
+    weekend: {
+      days: weekendData.length,
+      totalMinutes: weekendTotal,
+      avgMinutes: weekendAvg,
+      dailyBreakdown: weekendData.sort((a, b) => a.date.localeCompare(b.date))
+    }
+  }
+}
+
+// Average of a health metric over one date range against another, e.g. October
+// against September. null when either range has no data
+export function computeRangeTrend(healthData, metric, range, previousRange) {
+  const recent = filterRange(healthData, range)
+  const previous = filterRange(healthData, previousRange)
+  
+  if (recent.length === 0 || previous.length === 0) return null
+  
+  const recentAvg = average(recent.map(d => d[metric]))
+  const previousAvg = average(previous.map(d => d[metric]))
+  
+  const change = recentAvg - previousAvg
+  const percentChange = previousAvg > 0 ? Math.round((change / previousAvg) * 100) : 0
+  
+  return {
+    recent: { from: recent[0].date, to: recent[recent.length - 1].date, days: recent.length },
+    previous: { from: previous[0].date, to: previous[previous.length - 1].date, days: previous.length },
+    recentAvg,
+    previousAvg,
+    change,
+    percentChange,
+    trend: change > 0 ? 'increasing' : change < 0 ? 'decreasing' : 'stable',
+    dailyValues: recent.map(d => ({ date: d.date, value: d[metric] }))
+  }
+}
+
+// Compute trend statistics for health metrics: the last `days` days against the `days` before them
+export function computeTrendStats(healthData, metric, days = 30) {
+  if (!healthData.length) return null
+  const to = healthData[healthData.length - 1].date
+  const from = addDays(to, -(days - 1))
+  const stats = computeRangeTrend(healthData, metric, { from, to }, { from: addDays(from, -days), to: addDays(from, -1) })
+  return stats && { days, ...stats }
+}
+
+// Compute all app totals (not just top 10)
+export function computeAllAppTotals(screenTimeData) {
+  const appTotals = {}
+  screenTimeData.forEach(item => {
+    appTotals[item.app] = (appTotals[item.app] || 0) + item.minutes
+  })
+  
+  return Object.entries(appTotals)
+    .map(([app, minutes]) => ({ app, minutes }))
+    .sort((a, b) => b.minutes - a.minutes)
+}
+
+// Screen time minutes per category, largest first
+export function computeCategoryTotals(screenTimeData) {
+  const totals = {}
+  screenTimeData.forEach(item => {
+    totals[item.category] = (totals[item.category] || 0) + item.minutes
+  })
+  return Object.entries(totals)
+    .map(([category, minutes]) => ({ category, minutes }))
+    .sort((a, b) => b.minutes - a.minutes)
+}
+
+// One value per day for a metric, oldest first. Screen time is the day's total
+// minutes, optionally for one app or category
+export function dailyValues(metric, { healthData, screenTimeData }, { app, category } = {}) {
+  if (metric !== 'screenTime') {
+    return healthData.map(d => ({ date: d.date, value: d[metric] }))
+  }
+  const totals = {}
+  screenTimeData.forEach(item => {
+    if (app && item.app.toLowerCase() !== app.toLowerCase()) return
+    if (category && item.category !== category) return
+    totals[item.date] = (totals[item.date] || 0) + item.minutes
+  })
+  return Object.entries(totals)
+    .map(([date, value]) => ({ date, value }))
+    .sort((a, b) => a.date.localeCompare(b.date))
+}
+
+// Total, average and extremes of a series of daily values
+export function aggregateValues(values) {
+  if (!values.length) return { days: 0, total: 0, average: 0, min: null, max: null }
+  const byValue = [...values].sort((a, b) => a.value - b.value)
+  return {
+    days: values.length,
+    total: values.reduce((sum, d) => sum + d.value, 0),
+    average: average(values.map(d => d.value)),
+    min: byValue[0],
+    max: byValue[byValue.length - 1],
+  }
+}
+
+// Pearson correlation between two daily series, over the days both have
+export function correlateValues(a, b) {
+  const bByDate = new Map(b.map(d => [d.date, d.value]))
+  const pairs = a.filter(d => bByDate.has(d.date)).map(d => [d.value, bByDate.get(d.date)])
+  if (pairs.length < 3) return { days: pairs.length, coefficient: null, strength: 'not enough data' }
+
+  const meanA = pairs.reduce((sum, [x]) => sum + x, 0) / pairs.length
+  const meanB = pairs.reduce((sum, [, y]) => sum + y, 0) / pairs.length
+  let covariance = 0
+  let varianceA = 0
+  let varianceB = 0
+  pairs.forEach(([x, y]) => {
+    covariance += (x - meanA) * (y - meanB)
+    varianceA += (x - meanA) ** 2
+    varianceB += (y - meanB) ** 2
+  })
+  if (!varianceA || !varianceB) return { days: pairs.length, coefficient: null, strength: 'no variation' }
+
+  const coefficient = Math.round((covariance / Math.sqrt(varianceA * varianceB)) * 100) / 100
+  const size = Math.abs(coefficient)
+  const strength = size >= 0.7 ? 'strong' : size >= 0.4 ? 'moderate' : size >= 0.2 ? 'weak' : 'none'
+  return {
+    days: pairs.length,
+    coefficient,
+    strength: strength === 'none' ? 'no clear relationship' : `${strength} ${coefficient > 0 ? 'positive' : 'negative'}`,
+  }
+}
+
+// Average of a health metric on days with a workout against days without one
+export function compareWorkoutDays(healthData, metric) {
+  const workoutDays = healthData.filter(d => d.workout > 0)
+  const restDays = healthData.filter(d => d.workout === 0)
+  const withWorkout = average(workoutDays.map(d => d[metric]))
+  const withoutWorkout = average(restDays.map(d => d[metric]))
+  return {
+    metric,
+    withWorkout,
+    withoutWorkout,
+    difference: withWorkout - withoutWorkout,
+    workoutDays: workoutDays.length,
+    restDays: restDays.length,
+  }
+}
@@ -0,0 +1,304 @@
+// Rule-based answers for the questions the data answers exactly - app rankings,
+// averages, totals, workout day counts, trends, an app's weekday vs weekend use and
+// workouts against sleep. No LLM is involved, so Ask Altu keeps working without a
+// key or network. answerFromRules returns { rule, answer, chart } when one of the
+// templates fits the parsed question (see queryParser.js), or null when the
+// question needs the model: it is unsure, has a condition the parser doesn't
+// capture ("over 10,000 steps", "on Mondays") or asks for something no template
+// covers. Time windows ("in October", "since Sept 15") come resolved to dates with
+// the query. Every answer names the days it covers, and comes with a chart when
+// the question asks to see one (see charts.js)
+import { formatDate } from '../src/utils/dates.js'
+import { comparedRange } from './timeWindows.js'
+import { chartForQuestion } from './charts.js'
+import {
+  HEALTH_METRICS,
+  inWindow,
+  computeAllAppTotals,
+  computeCategoryTotals,
+  computeAppWeekdayWeekendStats,
+  computeRangeTrend,
+  computeTrendStats,
+  compareWorkoutDays,
+  dailyValues,
+  aggregateValues,
+} from './analytics.js'
+
+// Qualifiers the parsed query has no field for; answering without them would
+// answer a different question
+const UNHANDLED = [
+  /\b(over|above|under|below|more than|less than|fewer than|at least|at most)\s+\d/,
+  /\b(except|excluding)\b/,
+  /\b(mon|tues|wednes|thurs|fri)days?\b/,
+  /\b(morning|evening|night|hour)s?\b(?! of sleep)/,
+  // Effects a day later need the series lagged, which the rules don't do
+  /\b(next|following|previous|prior) day\b|\bthe day (after|before)\b/,
+]
+
+// Dates the question gives that should have been read as a time window; if none
+// was, the dates were in a form the parser doesn't know
+const DATE_WORDS = /\b(since|between|before|after|until|during|jan(uary)?|feb(ruary)?|march|april|june|july|aug(ust)?|sept?(ember)?|oct(ober)?|nov(ember)?|dec(ember)?|\d{4}-\d{2}-\d{2})\b/
+
+const METRIC_NAMES = {
+  steps: 'steps',
+  sleep: 'sleep',
+  energy: 'active energy',
+  workout: 'workout time',
+  screenTime: 'screen time',
+}
+
+const UNITS = { steps: ' steps', energy: ' kcal', sleep: ' min', workout: ' min', screenTime: ' min' }
+
+const TREND_WORDS = { increasing: 'going up', decreasing: 'going down', stable: 'holding steady' }
+
+const number = (value) => value.toLocaleString('en-US')
+
+function duration(minutes) {
+  if (minutes < 60) return `${number(minutes)} min`
+  return `${number(minutes)} min (${Math.floor(minutes / 60)}h ${minutes % 60}m)`
+}
+
+function formatValue(metric, value) {
+  if (metric === 'steps') return `${number(value)} steps`
+  if (metric === 'energy') return `${number(value)} kcal`
+  return duration(value)
+}
+
+// Without the hours, for figures already in brackets
+const shortValue = (metric, value) => `${number(value)}${UNITS[metric]}`
+
+// "You walked 54,784 steps", "You spent 243 min (4h 3m) on YouTube"
+const TOTAL_SENTENCES = {
+  steps: (value) => `You walked ${value}`,
+  sleep: (value) => `You slept ${value}`,
+  energy: (value) => `You burned ${value} of active energy`,
+  workout: (value) => `You worked out for ${value}`,
+  screenTime: (value, on) => `You spent ${value}${on || ' on screens'}`,
+}
+
+const describeRange = ({ from, to }) => (from === to ? formatDate(from) : `${formatDate(from)} to ${formatDate(to)}`)
+
+// "from Sep 2 to Oct 25 (54 days)", noting when the data doesn't cover all of the
+// question's window
+function describeSpan(dates, timeWindow) {
+  const from = dates[0]
+  const to = dates[dates.length - 1]
+  let text = from === to ? `on ${formatDate(from)}` : `from ${formatDate(from)} to ${formatDate(to)} (${dates.length} days)`
+  if (timeWindow && dates.length < timeWindow.days) {
+    text += ` - the data only has ${dates.length} of the ${timeWindow.days} days in ${describeRange(timeWindow)}`
+  }
+  return text
+}
+
+function subject({ apps, categories }) {
+  if (apps.length) return ` on ${apps[0]}`
+  if (categories.length) return ` on ${categories[0]} apps`
+  return ''
+}
+
+// Ranks apps (or categories, when the question asks which category) by total minutes
+function rankScreenTime(question, query, { screenTimeData }) {
+  const { direction, categories, timeWindow } = query
+  let records = inWindow(screenTimeData, timeWindow)
+  if (!records.length) return null
+  const span = describeSpan([...new Set(records.map(item => item.date))].sort(), timeWindow)
+
+  if (/\bcategor(y|ies)\b/.test(question) && !categories.length) {
+    const ranked = computeCategoryTotals(records)
+    const ordered = direction === 'least' ? [...ranked].reverse() : ranked
+    const [first, ...rest] = ordered
+    return `The category you use ${direction} is ${first.category}, with ${duration(first.minutes)} ${span}. ` +
+      `Next: ${rest.slice(0, 4).map(c => `${c.category} (${number(c.minutes)} min)`).join(', ')}.`
+  }
+
+  if (categories.length) records = records.filter(item => item.category === categories[0])
+  const ranked = computeAllAppTotals(records)
+  if (!ranked.length) return null
+  const ordered = direction === 'least' ? [...ranked].reverse() : ranked
+  const [first, ...rest] = ordered
+  const within = categories.length ? ` in ${categories[0]}` : ''
+  let text = `Your ${direction} used app${within} is ${first.app}, with ${duration(first.minutes)} ${span}.`
+  if (rest.length) text += ` Next are ${rest.slice(0, 4).map(a => `${a.app} (${number(a.minutes)} min)`).join(', ')}.`
+  return text
+}
+
+// The single highest or lowest day for one metric
+function extremeDay(question, query, data) {
+  const { metrics, apps, categories, direction, timeWindow } = query
+  const values = inWindow(dailyValues(metrics[0], data, { app: apps[0], category: categories[0] }), timeWindow)
+  if (!values.length) return null
+  const { min, max } = aggregateValues(values)
+  const day = direction === 'least' ? min : max
+  const label = direction === 'least' ? 'lowest' : 'highest'
+  return `Your ${label} day for ${METRIC_NAMES[metrics[0]]}${subject(query)} was ${formatDate(day.date)}, with ` +
+    `${formatValue(metrics[0], day.value)}, out of the days ${describeSpan(values.map(d => d.date), timeWindow)}.`
+}
+
+function averageMetric(question, query, data) {
+  const { metrics, apps, categories, timeWindow } = query
+  const metric = metrics[0]
+  const values = inWindow(dailyValues(metric, data, { app: apps[0], category: categories[0] }), timeWindow)
+  if (!values.length) return null
+  const { average, min, max } = aggregateValues(values)
+  // Days an app or category wasn't opened have no record, so they aren't counted
+  const counted = apps.length || categories.length ? ' on the days it was used' : ''
+  return `Your average ${METRIC_NAMES[metric]}${subject(query)} is ${formatValue(metric, average)} a day${counted}, ` +
+    `${describeSpan(values.map(d => d.date), timeWindow)}. The lowest day was ${formatDate(min.date)} ` +
+    `(${shortValue(metric, min.value)}) and the highest ${formatDate(max.date)} (${shortValue(metric, max.value)}).`
+}
+
+// "How many days did I work out?" asks for a count of days, not an amount
+const COUNT_QUESTION = /\bhow many (days|times|workouts)\b/
+
+function totalMetric(question, query, data) {
+  const { metrics, apps, categories, timeWindow } = query
+  const metric = metrics[0]
+  const values = inWindow(dailyValues(metric, data, { app: apps[0], category: categories[0] }), timeWindow)
+  if (!values.length) return null
+  const span = describeSpan(values.map(d => d.date), timeWindow)
+
+  if (COUNT_QUESTION.test(question)) {
+    if (metric !== 'workout') return null
+    const workoutDays = values.filter(d => d.value > 0).length
+    return `You worked out on ${workoutDays} of ${values.length} days, ${span}.`
+  }
+  const { total } = aggregateValues(values)
+  return `${TOTAL_SENTENCES[metric](formatValue(metric, total), subject(query))} in total, ${span}.`
+}
+
+// The question's window against the one it names or the one before it; the last
+// 30 days against the 30 before when it has no window
+function trend(question, query, { healthData }) {
+  const { metrics, timeWindow } = query
+  const sentences = []
+  for (const metric of metrics) {
+    const stats = timeWindow
+      ? computeRangeTrend(healthData, metric, timeWindow, comparedRange(query))
+      : computeTrendStats(healthData, metric)
+    if (!stats?.previousAvg) return null
+    const { recent, previous, recentAvg, previousAvg, change, percentChange } = stats
+    const direction = TREND_WORDS[stats.trend] || stats.trend
+    sentences.push(
+      `Your ${METRIC_NAMES[metric]} ${metric === 'steps' ? 'are' : 'is'} ${direction}: ${formatValue(metric, recentAvg)} a day on average from ` +
+      `${formatDate(recent.from)} to ${formatDate(recent.to)}, against ${formatValue(metric, previousAvg)} ` +
+      `from ${formatDate(previous.from)} to ${formatDate(previous.to)}` +
+      (change ? ` (${change > 0 ? '+' : ''}${number(change)}${UNITS[metric]}, ${percentChange > 0 ? '+' : ''}${percentChange}%).` : '.')
+    )
+  }
+  return sentences.join(' ')
+}
+
+function appWeekdayWeekend(question, query, { screenTimeData }) {
+  const { apps, timeWindow } = query
+  const { appName, weekday, weekend } = computeAppWeekdayWeekendStats(apps[0], inWindow(screenTimeData, timeWindow))
+  if (!weekday.days || !weekend.days) return null
+  const difference = weekend.avgMinutes - weekday.avgMinutes
+  const comparison = difference === 0
+    ? `You use ${appName} about the same on weekdays and weekends`
+    : `You use ${appName} more on ${difference > 0 ? 'weekends' : 'weekdays'}`
+  return `${comparison}: ${duration(weekend.avgMinutes)} a day on average over ${weekend.days} weekend days, against ` +
+    `${duration(weekday.avgMinutes)} a day over ${weekday.days} weekdays` +
+    (difference ? ` (${number(Math.abs(difference))} min a day more on ${difference > 0 ? 'weekends' : 'weekdays'}).` : '.') +
+    ' Days the app wasn\'t opened aren\'t counted.'
+}
+
+// Same 30 day default as the prompt's pre-computed relationship, so both agree
+function workoutRelationship(question, query, { healthData }) {
+  const { metrics, timeWindow } = query
+  const other = metrics.find(metric => metric !== 'workout')
+  const recent = timeWindow ? inWindow(healthData, timeWindow) : healthData.slice(-30)
+  const { withWorkout, withoutWorkout, difference, workoutDays, restDays } = compareWorkoutDays(recent, other)
+  if (!workoutDays || !restDays) return null
+  const name = METRIC_NAMES[other]
+  const summary = difference === 0
+    ? `your ${name} ${other === 'steps' ? 'are' : 'is'} the same on workout days and rest days`
+    : `your ${name} ${other === 'steps' ? 'are' : 'is'} ${number(Math.abs(difference))}${UNITS[other]} ${difference > 0 ? 'higher' : 'lower'} on workout days`
+  return `From ${formatDate(recent[0].date)} to ${formatDate(recent[recent.length - 1].date)}, ${summary}: ` +
+    `${formatValue(other, withWorkout)} on average on the ${workoutDays} days you worked out, against ` +
+    `${formatValue(other, withoutWorkout)} on the ${restDays} days you didn't. ` +
+    'That is a pattern in your data rather than proof that one causes the other.'
+}
+
+const WITH_YEAR = { month: 'short', day: 'numeric', year: 'numeric' }
+
+// For windows the data doesn't reach, so with years
+function noData(timeWindow, { healthData, screenTimeData }) {
+  const { from, to } = timeWindow
+  const dates = [...healthData, ...screenTimeData].map(record => record.date).sort()
+  const asked = from === to ? formatDate(from, WITH_YEAR) : `${formatDate(from, WITH_YEAR)} to ${formatDate(to, WITH_YEAR)}`
+  if (!dates.length) return `There is no data for ${asked} - no data has been loaded yet.`
+  return `There is no data for ${asked}. Your data runs from ${formatDate(dates[0], WITH_YEAR)} to ` +
+    `${formatDate(dates[dates.length - 1], WITH_YEAR)}.`
+}
+
+const single = (list) => list.length <= 1
+
+// Checked in order; the first rule that applies answers. Any of them can still
+// return null when the data doesn't support an answer (no records in the window,
+// nothing to compare against). Only rules marked `compares` handle a second window
+const RULES = [
+  {
+    name: 'app-weekday-weekend',
+    applies: ({ intent, apps, breakdown }) => apps.length === 1 && breakdown === 'weekday-weekend' &&
+      ['comparison', 'average', 'total'].includes(intent),
+    answer: appWeekdayWeekend,
+  },
+  {
+    name: 'extreme-day',
+    applies: ({ intent, metrics, apps, categories }, question) => intent === 'ranking' && /\b(day|date|when)\b/.test(question) &&
+      metrics.length === 1 && single(apps) && single(categories),
+    answer: extremeDay,
+  },
+  {
+    name: 'screen-time-ranking',
+    applies: ({ intent, metrics, apps, categories }) => intent === 'ranking' && metrics.includes('screenTime') &&
+      !apps.length && single(categories),
+    answer: rankScreenTime,
+  },
+  {
+    name: 'metric-trend',
+    // Also answers comparisons of two windows, e.g. "this week compared to last week",
+    // but not of counts ("how many days ... vs the two before?"), which it would answer with averages
+    compares: true,
+    applies: ({ intent, metrics, apps, categories, compareWindow }, question) => (intent === 'trend' || (intent === 'comparison' && compareWindow)) &&
+      !COUNT_QUESTION.test(question) && metrics.length > 0 &&
+      metrics.every(metric => HEALTH_METRICS.includes(metric)) && !apps.length && !categories.length,
+    answer: trend,
+  },
+  {
+    name: 'workout-relationship',
+    applies: ({ intent, metrics }) => ['correlation', 'comparison'].includes(intent) && metrics.length === 2 &&
+      metrics.includes('workout') && metrics.every(metric => HEALTH_METRICS.includes(metric)),
+    answer: workoutRelationship,
+  },
+  {
+    name: 'metric-average',
+    applies: ({ intent, metrics, apps, categories }) => intent === 'average' && metrics.length === 1 &&
+      single(apps) && single(categories),
+    answer: averageMetric,
+  },
+  {
+    name: 'metric-total',
+    applies: ({ intent, metrics, apps, categories }) => intent === 'total' && metrics.length === 1 &&
+      single(apps) && single(categories),
+    answer: totalMetric,
+  },
+]
+
+// query is the parsed question; data is { healthData, screenTimeData }
+export function answerFromRules(question, query, data) {
+  const lower = question.toLowerCase()
+  if (query.unsure || UNHANDLED.some(pattern => pattern.test(lower))) return null
+  if (DATE_WORDS.test(lower) && !query.timeWindow) return null
+  if (query.breakdown && !query.apps.length) return null
+
+  const rule = RULES.find(candidate => candidate.applies(query, lower))
+  if (!rule || (query.compareWindow && !rule.compares)) return null
+  // "Yesterday" or "in December" may be days the data doesn't reach
+  const { timeWindow } = query
+  if (timeWindow && !inWindow(data.healthData, timeWindow).length && !inWindow(data.screenTimeData, timeWindow).length) {
+    return { rule: 'no-data', answer: noData(timeWindow, data) }
+  }
+  const answer = rule.answer(lower, query, data)
+  return answer ? { rule: rule.name, answer, chart: chartForQuestion(query, data) } : null
+}
@@ -0,0 +1,57 @@
+// Answers already given, so asking the same question about the same data again
+// (or reopening a chart and asking it there) doesn't make another paid call. The
+// key covers the call site, the question with case, spacing and trailing
+// punctuation ignored, a fingerprint of the data and metrics, the chart, the
+// thread so far, the calendar settings and today's date (for "yesterday" and
+// "this week"). Kept in memory, least recently used dropped first; LLM_CACHE_SIZE
+// sets how many (0 turns the cache off)
+import { createHash } from 'crypto'
+import { today } from '../src/utils/dates.js'
+import { readNumber } from './env.js'
+
+const DEFAULT_SIZE = 100
+
+const entries = new Map()
+
+const hash = (value) => createHash('sha256').update(JSON.stringify(value)).digest('hex')
+
+function normalizeQuestion(question) {
+  return question
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/\s+/g, ' ')
+    .replace(/[\s?!.]+$/, '')
+    .trim()
+}
+
+// body is what the endpoint read from the request; chart is the spec of the
+// chart a question is about (see src/utils/chartSpec.js)
+export function answerCacheKey(site, { question, history, metrics, healthData, screenTimeData, settings }, chart = null) {
+  return hash({
+    site,
+    question: normalizeQuestion(question),
+    data: hash({ metrics, healthData, screenTimeData }),
+    chart,
+    history: history.map(({ question, answer }) => ({ question: normalizeQuestion(question), answer })),
+    settings,
+    day: today(settings.timeZone),
+  })
+}
+
+export function getCachedAnswer(key) {
+  const entry = entries.get(key)
+  if (!entry) return null
+  // Move to the back so it is the last to be dropped
+  entries.delete(key)
+  entries.set(key, entry)
+  return entry
+}
+
+export function cacheAnswer(key, answer) {
+  const size = readNumber('LLM_CACHE_SIZE', DEFAULT_SIZE)
+  if (size <= 0) return
+  entries.delete(key)
+  entries.set(key, answer)
+  while (entries.size > size) entries.delete(entries.keys().next().value)
+}
@@ -0,0 +1,57 @@
+// Charts attached to Ask Altu answers. The spec format and drawing live in
+// src/utils/chartSpec.js, shared with the browser; this is the server side: the
+// show_chart tool's flat arguments turned into a spec, and the chart a parsed
+// question asks for when the rule engine or mock provider answers it
+import { normalizeChartSpec, buildChartData, CHART_METRICS } from '../src/utils/chartSpec.js'
+
+// { title, type, groupBy, metric, second, app, category, from, to } as the
+// show_chart tool takes them. Throws when they don't make a chart
+export function chartFromArguments({ title, type, groupBy, metric, second, app, category, from, to }) {
+  const series = [{ metric, app, category }]
+  if (second) series.push({ metric: second })
+  return normalizeChartSpec({ type, title, groupBy, series, range: { from, to } })
+}
+
+// show_chart arguments for a parsed question (see queryParser.js), or null when
+// it names nothing to draw. The range is the question's resolved time window
+export function chartArguments({ intent, metrics, apps, categories, breakdown, timeWindow }) {
+  const range = timeWindow?.from ? { from: timeWindow.from, to: timeWindow.to } : {}
+  const app = apps[0]
+  const category = !app ? categories[0] : undefined
+  // An app or category is screen time, so that is the series it filters
+  const [first, second] = app || category ? ['screenTime', ...metrics.filter(m => m !== 'screenTime')] : metrics
+  if (!first) return null
+  const name = app || category || CHART_METRICS[first].name
+  const filters = { ...(app && { app }), ...(category && { category }) }
+
+  if (breakdown === 'weekday-weekend') {
+    return { title: `${name} on weekdays vs weekends`, groupBy: 'weekday-weekend', metric: first, ...filters, ...range }
+  }
+  if (intent === 'ranking' && first === 'screenTime') {
+    return { title: `Screen time by app${category ? ` in ${category}` : ''}`, groupBy: 'app', metric: 'screenTime', ...(category && { category }), ...range }
+  }
+  const other = metrics.find(metric => metric !== 'workout')
+  if (['correlation', 'comparison'].includes(intent) && metrics.includes('workout') && other) {
+    return { title: `${CHART_METRICS[other].name} on workout vs rest days`, groupBy: 'workout', metric: other, ...range }
+  }
+  const title = second ? `${name} and ${CHART_METRICS[second].name.toLowerCase()}` : name
+  return { title, groupBy: 'day', metric: first, ...filters, ...(second && { second }), ...range }
+}
+
+// The chart for a parsed question asking for one, or null when there is nothing in
+// it to draw. data is { healthData, screenTimeData }
+export function chartForQuestion(query, data) {
+  const args = query.wantsChart && chartArguments(query)
+  if (!args) return null
+  // Workout days against rest days covers the same last 30 days as the answer
+  // (see answerEngine.js) when the question names no window
+  if (args.groupBy === 'workout' && !args.from && data.healthData.length) args.from = data.healthData.slice(-30)[0].date
+  const chart = chartFromArguments(args)
+  return buildChartData(chart, data).rows.length ? chart : null
+}
+
+// The chart from the last show_chart call that worked, or null
+export function chartFromToolCalls(toolCalls = []) {
+  const call = [...toolCalls].reverse().find(c => c.name === 'show_chart' && c.result)
+  return call ? call.result.chart : null
+}
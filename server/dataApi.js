@@ -0,0 +1,128 @@
+// REST endpoints for the numbers the Dashboard shows, computed with the same
+// computeMetrics as the browser:
+//
+//   GET /api/metrics?from=&to=&gapMode=
+//   GET /api/health?from=&to=
+//   GET /api/screentime?app=&category=&from=&to=
+//   GET /api/streaks?from=&to=&gapMode=
+//
+// from/to are inclusive YYYY-MM-DD dates and default to the whole data set
+import express from 'express'
+import { computeMetrics } from '../src/utils/data.js'
+import { isCalendarDate } from '../src/utils/dates.js'
+import { GAP_MODES } from '../src/utils/timeSeries.js'
+import { KNOWN_CATEGORIES } from '../src/utils/validation.js'
+import { HttpError } from './errors.js'
+import { loadData } from './dataStore.js'
+
+const RANGE_PARAMS = ['from', 'to']
+
+// Rejects parameters the endpoint doesn't know (usually a typo that would
+// otherwise be silently ignored) and repeated parameters
+function readQuery(query, allowed) {
+  Object.entries(query).forEach(([name, value]) => {
+    if (!allowed.includes(name)) {
+      throw new HttpError(400, `Unknown query parameter "${name}". Allowed: ${allowed.join(', ')}`)
+    }
+    if (typeof value !== 'string') throw new HttpError(400, `${name} must be given once`)
+  })
+  return query
+}
+
+function readRange(query) {
+  const { from, to } = query
+  RANGE_PARAMS.forEach(name => {
+    if (query[name] !== undefined && !isCalendarDate(query[name])) {
+      throw new HttpError(400, `${name} must be a date in YYYY-MM-DD format (got "${query[name]}")`)
+    }
+  })
+  if (from && to && from > to) throw new HttpError(400, `from (${from}) must not be after to (${to})`)
+  return { from, to }
+}
+
+function readGapMode(query) {
+  const { gapMode = 'gaps' } = query
+  if (!Object.hasOwn(GAP_MODES, gapMode)) {
+    throw new HttpError(400, `gapMode must be one of ${Object.keys(GAP_MODES).join(', ')} (got "${gapMode}")`)
+  }
+  return gapMode
+}
+
+const inRange = ({ from, to }) => (record) => (!from || record.date >= from) && (!to || record.date <= to)
+
+// Reports the range that was actually covered, falling back to the data's own bounds
+function coveredRange({ from, to }, records) {
+  return {
+    from: from || records[0]?.date || null,
+    to: to || records[records.length - 1]?.date || null,
+  }
+}
+
+async function loadRange(range) {
+  const { healthData, screenTimeData } = await loadData()
+  return {
+    healthData: healthData.filter(inRange(range)),
+    screenTimeData: screenTimeData.filter(inRange(range)),
+  }
+}
+
+// Wraps async handlers so rejections reach the JSON error handler
+const handle = (fn) => (req, res, next) => fn(req, res).catch(next)
+
+export function createDataApi() {
+  const router = express.Router()
+
+  router.get('/metrics', handle(async (req, res) => {
+    const query = readQuery(req.query, [...RANGE_PARAMS, 'gapMode'])
+    const range = readRange(query)
+    const gapMode = readGapMode(query)
+    const { healthData, screenTimeData } = await loadRange(range)
+    res.json({
+      range: coveredRange(range, healthData),
+      gapMode,
+      metrics: computeMetrics(healthData, screenTimeData, { gapMode }),
+    })
+  }))
+
+  router.get('/health', handle(async (req, res) => {
+    const range = readRange(readQuery(req.query, RANGE_PARAMS))
+    const { healthData } = await loadRange(range)
+    res.json({ range: coveredRange(range, healthData), count: healthData.length, records: healthData })
+  }))
+
+  router.get('/screentime', handle(async (req, res) => {
+    const query = readQuery(req.query, [...RANGE_PARAMS, 'app', 'category'])
+    const range = readRange(query)
+    const { app, category } = query
+    if (app !== undefined && !app.trim()) throw new HttpError(400, 'app must not be empty')
+    if (category !== undefined && !KNOWN_CATEGORIES.includes(category)) {
+      throw new HttpError(400, `Unknown category "${category}". Known categories: ${KNOWN_CATEGORIES.join(', ')}`)
+    }
+    const { screenTimeData } = await loadRange(range)
+    // App names match case-insensitively, like the Ask Altu app lookup
+    const records = screenTimeData.filter(item =>
+      (!app || item.app.toLowerCase() === app.trim().toLowerCase()) &&
+      (!category || item.category === category)
+    )
+    res.json({
+      range: coveredRange(range, screenTimeData),
+      filters: { app: app ?? null, category: category ?? null },
+      count: records.length,
+      records,
+    })
+  }))
+
+  router.get('/streaks', handle(async (req, res) => {
+    const query = readQuery(req.query, [...RANGE_PARAMS, 'gapMode'])
+    const range = readRange(query)
+    const gapMode = readGapMode(query)
+    const { healthData, screenTimeData } = await loadRange(range)
+    res.json({
+      range: coveredRange(range, healthData),
+      gapMode,
+      streaks: computeMetrics(healthData, screenTimeData, { gapMode }).streaks,
+    })
+  }))
+
+  return router
+}
@@ -0,0 +1,47 @@
+// Reads the health and screen time data files for the REST API. Files may be any
+// schema version (see src/utils/schema.js) and are re-read when they change on disk
+import { readFile, stat } from 'fs/promises'
+import { join } from 'path'
+import { readDataFile } from '../src/utils/schema.js'
+import { HttpError } from './errors.js'
+
+const DATA_DIR = process.env.DATA_DIR || 'public'
+
+const FILES = {
+  health: 'health_daily.json',
+  screenTime: 'screentime.json',
+}
+
+const cache = {}
+
+async function loadDataset(dataset) {
+  const path = join(DATA_DIR, FILES[dataset])
+  let modified
+  try {
+    modified = (await stat(path)).mtimeMs
+  } catch (error) {
+    throw new HttpError(503, `${FILES[dataset]} is not available on the server`)
+  }
+  if (cache[dataset]?.modified !== modified) {
+    let data
+    try {
+      data = JSON.parse(await readFile(path, 'utf8'))
+    } catch (error) {
+      throw new HttpError(503, `${FILES[dataset]} is not valid JSON: ${error.message}`)
+    }
+    let records
+    try {
+      records = readDataFile(data, dataset, FILES[dataset])
+    } catch (error) {
+      throw new HttpError(503, error.message)
+    }
+    records.sort((a, b) => a.date.localeCompare(b.date))
+    cache[dataset] = { modified, records }
+  }
+  return cache[dataset].records
+}
+
+export async function loadData() {
+  const [healthData, screenTimeData] = await Promise.all([loadDataset('health'), loadDataset('screenTime')])
+  return { healthData, screenTimeData }
+}
@@ -0,0 +1,26 @@
+// Reads typed settings from environment variables. A malformed value is a
+// server misconfiguration, reported as a 500 naming the variable
+import { HttpError } from './errors.js'
+
+export function readNumber(variable, fallback) {
+  const value = process.env[variable]
+  if (value === undefined || value === '') return fallback
+  const number = Number(value)
+  if (!Number.isFinite(number)) throw new HttpError(500, `${variable} must be a number (got "${value}")`)
+  return number
+}
+
+export function readBoolean(variable, fallback) {
+  const value = process.env[variable]
+  if (value === undefined || value === '') return fallback
+  if (['true', '1', 'on'].includes(value)) return true
+  if (['false', '0', 'off'].includes(value)) return false
+  throw new HttpError(500, `${variable} must be true or false (got "${value}")`)
+}
+
+export function readChoice(variable, choices, fallback) {
+  const value = process.env[variable]
+  if (value === undefined || value === '') return fallback
+  if (!choices.includes(value)) throw new HttpError(500, `${variable} must be one of ${choices.join(', ')} (got "${value}")`)
+  return value
+}
@@ -0,0 +1,8 @@
+// Errors with an HTTP status. The error handler in server.mjs sends their message
+// to the client as { error }; anything else becomes a generic 500
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.status = status
+  }
+}
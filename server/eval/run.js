@@ -0,0 +1,157 @@
+// Golden-question evaluation for Ask Altu. Every question in goldenQuestions.json
+// is asked about the fixture data (fixture/) through the same prompt builders and
+// provider layer as /api/ask and /api/ask-chart, and each answer is scored against
+// the facts the question lists (see scoring.js). The Markdown report has no
+// timestamps, so reports from two prompt versions can be diffed:
+//
+//   npm run eval                                 mock provider, report to server/eval/report.md
+//   LLM_PROVIDER=openai npm run eval             the configured model
+//   npm run eval -- --out /tmp/report.md         write the report somewhere else
+//   npm run eval -- --only most-used-app,steps-trend
+//   npm run eval -- --rules                      answer with the rule engine where it
+//                                                applies, as Ask Altu does by default
+//
+// Without --rules every question goes to the model, which is what prompt changes
+// affect. Answers aren't retried on a failed verification; the mismatches are
+// reported instead. Token usage is logged to a file in the temp directory unless
+// LLM_USAGE_FILE is set, so evaluations don't use up the app's daily budget.
+// The mock provider repeats the figures it is given, so its scores check the
+// prompts, tools and scoring rather than how well a model answers
+import { readFileSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { fileURLToPath } from 'url'
+import { parseArgs } from 'util'
+import { readDataFile } from '../../src/utils/schema.js'
+import { computeMetrics } from '../../src/utils/data.js'
+import { normalizeChartSpec } from '../../src/utils/chartSpec.js'
+import { buildAskRequest, buildChartRequest } from '../prompts.js'
+import { complete, getCallSiteConfig } from '../llm.js'
+import { verifyAnswer } from '../verification.js'
+import { answerFromRules } from '../answerEngine.js'
+import { scoreAnswer } from './scoring.js'
+
+const here = (path) => fileURLToPath(new URL(path, import.meta.url))
+
+const DEFAULT_REPORT = here('./report.md')
+
+// Fixed so the prompts don't depend on where the evaluation runs
+const SETTINGS = { timeZone: 'UTC', weekStart: 1 }
+
+function loadFixture() {
+  const read = (file, dataset) => readDataFile(JSON.parse(readFileSync(here(`./fixture/${file}`), 'utf8')), dataset, file)
+  const healthData = read('health_daily.json', 'health')
+  const screenTimeData = read('screentime.json', 'screenTime')
+  return { healthData, screenTimeData, metrics: computeMetrics(healthData, screenTimeData) }
+}
+
+// Resolves to { answer, source, mismatches }; a provider failure is reported as the answer
+async function ask(golden, fixture, { rules }) {
+  const body = { ...fixture, question: golden.question, history: [], settings: SETTINGS }
+  const site = golden.chart ? 'chart' : 'ask'
+  const request = golden.chart
+    ? buildChartRequest({ ...body, chart: normalizeChartSpec(golden.chart) })
+    : buildAskRequest(body)
+
+  const ruled = rules && !golden.chart && answerFromRules(golden.question, request.query, fixture)
+  if (ruled) return { answer: ruled.answer, source: `rules (${ruled.rule})`, mismatches: [] }
+
+  try {
+    const data = { healthData: fixture.healthData, screenTimeData: fixture.screenTimeData }
+    const { content, toolCalls } = await complete(site, { ...request, data })
+    const { mismatches } = verifyAnswer(content, { request, toolCalls, ...body })
+    const tools = toolCalls.length ? ` + ${toolCalls.map(call => call.name).join(', ')}` : ''
+    return { answer: content, source: `llm${tools}`, mismatches }
+  } catch (error) {
+    process.exitCode = 1
+    return { answer: `ERROR: ${error.message}`, source: 'error', mismatches: [] }
+  }
+}
+
+const percent = (passed, total) => (total ? `${Math.round((passed / total) * 100)}%` : '-')
+
+function describeFact({ type, value, unit, tolerance }) {
+  if (type !== 'number') return value
+  return `${value}${unit ? ` ${unit}` : ''}${tolerance ? ` ±${tolerance}` : ''}`
+}
+
+function describeSite(site) {
+  const { provider, model } = getCallSiteConfig(site)
+  return `${provider} / ${model}`
+}
+
+function writeReport(results, { rules }) {
+  const facts = results.flatMap(result => result.scores)
+  const passed = facts.filter(score => score.passed).length
+  const lines = [
+    '# Ask Altu evaluation',
+    '',
+    ...(['ask', 'chart'].some(site => getCallSiteConfig(site).provider === 'mock')
+      ? ['The mock provider repeats the computed insights and tool results it is given, so its scores check the prompts, tools and scoring, not the quality of the answers.', '']
+      : []),
+    `- Ask Altu: ${describeSite('ask')}`,
+    `- Chart questions: ${describeSite('chart')}`,
+    `- Rule engine: ${rules ? 'on' : 'off'}`,
+    `- Facts correct: ${passed} / ${facts.length} (${percent(passed, facts.length)})`,
+    '',
+    '| Question | Facts | Source | Verification |',
+    '| --- | --- | --- | --- |',
+    ...results.map(({ golden, scores, source, mismatches }) => {
+      const correct = scores.filter(score => score.passed).length
+      return `| ${golden.id} | ${correct} / ${scores.length} | ${source} | ${mismatches.length ? `${mismatches.length} mismatched` : 'ok'} |`
+    }),
+  ]
+  results.forEach(({ golden, answer, scores, mismatches }) => {
+    lines.push('', `## ${golden.id}`, '', `**Q:** ${golden.question}`)
+    if (golden.chart) lines.push('', `Chart: ${golden.chart.title}`)
+    lines.push('', ...answer.trim().split('\n').map(line => `> ${line}`), '')
+    scores.forEach((score, i) => {
+      const expected = `${score.label}: ${describeFact(golden.facts[i])}`
+      lines.push(`- [${score.passed ? 'x' : ' '}] ${expected}${score.passed ? '' : ` (answer gave: ${score.found})`}`)
+    })
+    mismatches.forEach(mismatch => lines.push(`- Verification: ${mismatch.message}`))
+  })
+  return { text: `${lines.join('\n')}\n`, passed, total: facts.length }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      out: { type: 'string', default: DEFAULT_REPORT },
+      only: { type: 'string' },
+      rules: { type: 'boolean', default: false },
+    },
+  })
+  // Set first so a LLM_USAGE_FILE in .env (the app's own log) doesn't apply
+  process.env.LLM_USAGE_FILE ||= join(tmpdir(), 'altu-eval-usage.json')
+  // Picks up keys from .env like the server; the mock provider unless one is chosen
+  try {
+    process.loadEnvFile()
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+  }
+  process.env.LLM_PROVIDER ||= 'mock'
+
+  const only = values.only?.split(',').map(id => id.trim())
+  const goldens = JSON.parse(readFileSync(here('./goldenQuestions.json'), 'utf8'))
+    .filter(golden => !only || only.includes(golden.id))
+  if (!goldens.length) throw new Error(`No golden questions match --only ${values.only}`)
+
+  const fixture = loadFixture()
+  const results = []
+  for (const golden of goldens) {
+    const result = await ask(golden, fixture, values)
+    const scores = scoreAnswer(result.answer, golden.facts)
+    results.push({ golden, ...result, scores })
+    console.log(`${golden.id}: ${scores.filter(score => score.passed).length} / ${scores.length}`)
+  }
+
+  const report = writeReport(results, values)
+  writeFileSync(values.out, report.text)
+  console.log(`\n${report.passed} / ${report.total} facts correct (${percent(report.passed, report.total)}). Report written to ${values.out}`)
+}
+
+main().catch(error => {
+  console.error(error.message)
+  process.exitCode = 1
+})
@@ -0,0 +1,49 @@
+// Scores an answer against the facts a golden question expects (see
+// goldenQuestions.json). A fact is one of
+//
+//   { type: 'app', label, value: 'Slack' }                   the app is named
+//   { type: 'number', label, value: 3526, unit: 'minutes' }  the figure is given, in
+//       that unit (hours and "38h 12m" count as minutes) or without one, within
+//       `tolerance` (default 0) or the rounding of the figure as written
+//   { type: 'trend', label, value: 'up' | 'down' | 'flat' }  the first word that
+//       gives a direction gives this one
+//
+// and scores as { label, passed, found } where found is what the answer said instead
+import { findNumbers } from '../verification.js'
+
+const DIRECTIONS = {
+  up: /\b(increas\w*|up|ris(e|es|ing|en)|improv\w*|higher|grow\w*|climb\w*)\b/i,
+  down: /\b(decreas\w*|down|declin\w*|dropp?\w*|fall(s|ing|en)?|fell|lower|reduc\w*)\b/i,
+  flat: /\b(stable|steady|flat|unchanged|the same|no (real |clear )?change)\b/i,
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Single letters (X) must be written as a capital; other names in any case
+function scoreApp({ value }, answer) {
+  const pattern = new RegExp(`(^|[^\\w])${escapeRegExp(value)}(?![\\w])`, value.length === 1 ? '' : 'i')
+  return { passed: pattern.test(answer), found: null }
+}
+
+function scoreNumber({ value, unit, tolerance = 0 }, answer) {
+  const numbers = findNumbers(answer).filter(number => !number.kind || !unit || number.kind === unit)
+  const passed = numbers.some(number => Math.abs(number.value - value) <= Math.max(tolerance, number.tolerance) + 1e-9)
+  return { passed, found: passed ? null : numbers.map(number => number.text).join(', ') || 'no figures' }
+}
+
+function scoreTrend({ value }, answer) {
+  const first = Object.entries(DIRECTIONS)
+    .map(([direction, pattern]) => ({ direction, index: answer.search(pattern) }))
+    .filter(({ index }) => index !== -1)
+    .sort((a, b) => a.index - b.index)[0]
+  return { passed: first?.direction === value, found: first?.direction === value ? null : first?.direction || 'no direction' }
+}
+
+const SCORERS = { app: scoreApp, number: scoreNumber, trend: scoreTrend }
+
+export function scoreAnswer(answer, facts) {
+  return facts.map(fact => {
+    if (!SCORERS[fact.type]) throw new Error(`Unknown fact type "${fact.type}" for "${fact.label}"`)
+    return { label: fact.label, ...SCORERS[fact.type](fact, answer) }
+  })
+}
@@ -0,0 +1,190 @@
+// LLM access for the Ask Altu endpoints. Each call site (the Ask Altu page, the
+// chart question modal) has its own model, temperature and token limit, and can
+// use its own provider. Everything is set with environment variables:
+//
+//   LLM_PROVIDER       openai (default), openai-compatible or mock
+//   LLM_MODEL          model for every call site (OPENAI_MODEL is still read)
+//   LLM_BASE_URL       server URL for openai-compatible, e.g. http://localhost:11434/v1
+//   LLM_API_KEY        key for openai-compatible, if the server needs one
+//   LLM_MOCK_DELAY_MS  pause between streamed words from the mock provider
+//   LLM_<SITE>_PROVIDER, LLM_<SITE>_MODEL, LLM_<SITE>_TEMPERATURE, LLM_<SITE>_MAX_TOKENS,
+//   LLM_<SITE>_TOOLS   per call site overrides, e.g. LLM_CHART_MAX_TOKENS=400 or
+//                      LLM_ASK_TOOLS=false for models without tool calling
+//
+// Every request's token usage is recorded, and calls are refused once the daily
+// budget is used up (see usage.js)
+import { HttpError } from './errors.js'
+import { readNumber, readBoolean } from './env.js'
+import { checkBudget, recordUsage } from './usage.js'
+import { TOOL_SCHEMAS, runTool } from './tools.js'
+import { createOpenAIProvider } from './providers/openai.js'
+import { createMockProvider } from './providers/mock.js'
+
+// Defaults per call site; the env variable prefix is LLM_ plus the upper-cased key
+export const CALL_SITES = {
+  ask: { temperature: 0.7, maxTokens: 300, tools: true },
+  chart: { temperature: 0.7, maxTokens: 250, tools: false },
+}
+
+// Rounds of tool calls before the model has to answer with what it has
+const MAX_TOOL_ROUNDS = 3
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o-mini',
+  'openai-compatible': 'llama3.1',
+  mock: 'mock',
+}
+
+const PROVIDER_FACTORIES = {
+  openai: () => {
+    const apiKey = process.env.OPENAI_API_KEY
+    if (!apiKey) {
+      throw new HttpError(500, 'OpenAI API key not found. Please set OPENAI_API_KEY in the server .env file')
+    }
+    return createOpenAIProvider({ apiKey })
+  },
+  'openai-compatible': () => {
+    const baseURL = process.env.LLM_BASE_URL
+    if (!baseURL) {
+      throw new HttpError(500, 'LLM_BASE_URL is not set. Point it at your OpenAI-compatible server, e.g. http://localhost:11434/v1')
+    }
+    // Local servers usually ignore the key, but the client library requires one
+    return createOpenAIProvider({ name: 'openai-compatible', apiKey: process.env.LLM_API_KEY || 'not-needed', baseURL })
+  },
+  mock: () => createMockProvider({ delayMs: readNumber('LLM_MOCK_DELAY_MS', 0) }),
+}
+
+export const PROVIDER_NAMES = Object.keys(PROVIDER_FACTORIES)
+
+// Providers are created on first use, so a missing key only fails the requests that need it
+const providers = new Map()
+
+function getProvider(name) {
+  if (!PROVIDER_FACTORIES[name]) {
+    throw new HttpError(500, `Unknown LLM provider "${name}". Use one of ${PROVIDER_NAMES.join(', ')}`)
+  }
+  if (!providers.has(name)) providers.set(name, PROVIDER_FACTORIES[name]())
+  return providers.get(name)
+}
+
+// Resolves a call site's settings from its env overrides, the global ones and the defaults
+export function getCallSiteConfig(site) {
+  const defaults = CALL_SITES[site]
+  const prefix = `LLM_${site.toUpperCase()}_`
+  const provider = process.env[`${prefix}PROVIDER`] || process.env.LLM_PROVIDER || 'openai'
+  return {
+    provider,
+    model: process.env[`${prefix}MODEL`] || process.env.LLM_MODEL || process.env.OPENAI_MODEL || DEFAULT_MODELS[provider],
+    temperature: readNumber(`${prefix}TEMPERATURE`, defaults.temperature),
+    maxTokens: readNumber(`${prefix}MAX_TOKENS`, defaults.maxTokens),
+    tools: readBoolean(`${prefix}TOOLS`, defaults.tools),
+  }
+}
+
+function failure(provider) {
+  return new HttpError(502, provider.name === 'openai'
+    ? 'Failed to get answer. Please check your API key and try again.'
+    : `Failed to get answer from the ${provider.name} provider. Please check that it is running.`)
+}
+
+// Rough count (about 4 characters per token) for requests the provider didn't
+// report usage for, such as streams cut off part way
+const estimateTokens = (text) => Math.ceil(text.length / 4)
+
+function estimateUsage(messages, content) {
+  return {
+    promptTokens: estimateTokens(messages.map(message => message.content || '').join('\n')),
+    completionTokens: estimateTokens(content),
+  }
+}
+
+// One answer, possibly over several requests: whenever the model calls tools they
+// are run against `data` (the user's records) and the results sent back, until it
+// answers in text. Yields { type: 'text', text } and { type: 'tool', call } events.
+// Each request's usage is recorded against the call site
+async function* converse(site, provider, config, { messages, data }, { streaming, signal } = {}) {
+  const { tools: useTools, ...settings } = config
+  const conversation = [...messages]
+  for (let round = 0; ; round++) {
+    const tools = useTools && data && round < MAX_TOOL_ROUNDS ? TOOL_SCHEMAS : undefined
+    let content = ''
+    let toolCalls = []
+    let usage
+    try {
+      if (streaming) {
+        for await (const event of provider.stream({ messages: conversation, ...settings, tools, signal })) {
+          if (event.type === 'text') {
+            content += event.text
+            yield event
+          } else if (event.type === 'done') {
+            ({ toolCalls, usage } = event)
+          }
+        }
+      } else {
+        ({ content, toolCalls, usage } = await provider.complete({ messages: conversation, ...settings, tools }))
+      }
+    } finally {
+      // A request that failed before producing anything isn't billed
+      if (usage || content) {
+        recordUsage({ site, provider: provider.name, model: config.model, ...(usage || estimateUsage(conversation, content)) })
+      }
+    }
+    if (!streaming && content) yield { type: 'text', text: content }
+    if (!toolCalls?.length) return
+
+    conversation.push({
+      role: 'assistant',
+      content: content || null,
+      tool_calls: toolCalls.map(({ id, name, arguments: args }) => ({ id, type: 'function', function: { name, arguments: args } })),
+    })
+    for (const { id, name, arguments: args } of toolCalls) {
+      const call = runTool(name, args, data)
+      yield { type: 'tool', call }
+      conversation.push({
+        role: 'tool',
+        tool_call_id: id,
+        content: JSON.stringify(call.error ? { error: call.error } : call.result),
+      })
+    }
+  }
+}
+
+// Sends a prompt for the given call site. `data` ({ healthData, screenTimeData })
+// is what tools run against; without it no tools are offered. Resolves to
+// { content, toolCalls }. Over the daily budget it throws a 429 without calling out
+export async function complete(site, request) {
+  const config = getCallSiteConfig(site)
+  const provider = getProvider(config.provider)
+  checkBudget()
+  let content = ''
+  const toolCalls = []
+  try {
+    for await (const event of converse(site, provider, config, request)) {
+      if (event.type === 'text') content += event.text
+      else toolCalls.push(event.call)
+    }
+  } catch (error) {
+    console.error(`${provider.name} API error:`, error)
+    throw failure(provider)
+  }
+  return { content, toolCalls }
+}
+
+// Like complete, but returns an async iterator of the text and tool events as
+// they happen. Configuration problems and an exceeded budget throw straight away;
+// provider failures surface while iterating. Aborting the signal ends the
+// iteration quietly
+export function streamCompletion(site, request, signal) {
+  const config = getCallSiteConfig(site)
+  const provider = getProvider(config.provider)
+  checkBudget()
+  return (async function* () {
+    try {
+      yield* converse(site, provider, config, request, { streaming: true, signal })
+    } catch (error) {
+      if (signal?.aborted) return
+      console.error(`${provider.name} API error:`, error)
+      throw failure(provider)
+    }
+  })()
+}
@@ -0,0 +1,528 @@
+// Prompt construction for the LLM endpoints. Runs on the server so the prompts
+// (and the API key they're sent with) never ship in the browser bundle. The client
+// posts the question with the data it has loaded and gets back the answer
+import { isManualRecord } from '../src/utils/data.js'
+import { isWeekend, today, dayOfWeek, startOfWeek, WEEKDAYS, BROWSER_TIME_ZONE } from '../src/utils/dates.js'
+import { parseQuestion, describeQuery } from './queryParser.js'
+import { computeAppWeekdayWeekendStats, computeRangeTrend, computeTrendStats, computeAllAppTotals, computeCategoryTotals, compareWorkoutDays, inWindow, aggregateValues, correlateValues, dailyValues, DAILY_METRICS } from './analytics.js'
+import { buildChartData, rankTotals, chartRecords } from '../src/utils/chartSpec.js'
+import { comparedRange } from './timeWindows.js'
+import { describeToolCall } from './tools.js'
+
+// Anchors relative questions ("this week", "yesterday") to the user's own calendar
+function describeCalendar(healthData, { timeZone = '', weekStart = 0 } = {}) {
+  const now = today(timeZone)
+  const first = healthData[0]?.date
+  const last = healthData[healthData.length - 1]?.date
+  let text = `\nCALENDAR:\n- Today is ${WEEKDAYS[dayOfWeek(now)]} ${now} (timezone ${timeZone || BROWSER_TIME_ZONE})\n`
+  text += `- Weeks start on ${WEEKDAYS[weekStart]}; the current week began ${startOfWeek(now, weekStart)}\n`
+  text += '- Weekends are Saturday and Sunday\n'
+  if (first) text += `- Health data covers ${first} to ${last}\n`
+  return text
+}
+
+// Lists the days the user entered or corrected by hand so answers can say so
+function describeManualEntries(healthData, screenTimeData) {
+  const healthDates = healthData.filter(isManualRecord).map(d => d.date)
+  const screenTimeDates = [...new Set(screenTimeData.filter(isManualRecord).map(item => item.date))]
+  if (!healthDates.length && !screenTimeDates.length) return ''
+
+  let text = '\nMANUALLY ENTERED DATA (typed in by the user, not recorded by a device):\n'
+  if (healthDates.length) text += `- Health days: ${healthDates.join(', ')}\n`
+  if (screenTimeDates.length) text += `- Screen time days: ${screenTimeDates.join(', ')}\n`
+  text += '- If your answer relies on any of these days, briefly note that some values were entered manually.\n'
+  return text
+}
+
+// From the start of the earliest window in the question to the end of the latest
+function windowsRange({ timeWindow, compareWindow }) {
+  if (!timeWindow) return null
+  const windows = compareWindow ? [timeWindow, compareWindow] : [timeWindow]
+  const from = windows.map(window => window.from).sort()[0]
+  const to = windows.map(window => window.to).sort()[windows.length - 1]
+  return { from, to }
+}
+
+// Averages of every daily metric over a resolved window, so questions about
+// October or "since Sept 15" get figures for exactly those days
+function describeWindow(label, window, data) {
+  const health = inWindow(data.healthData, window)
+  let text = `- ${label}: "${window.phrase}" = ${window.from} to ${window.to} (${window.days} days)`
+  if (!health.length && !inWindow(data.screenTimeData, window).length) {
+    return `${text}. There is NO data in this range - say so instead of answering from other days\n`
+  }
+  text += `; health data for ${health.length} of them\n`
+  const averages = DAILY_METRICS
+    .map(metric => ({ metric, ...aggregateValues(inWindow(dailyValues(metric, data), window)) }))
+    .filter(({ days }) => days)
+    .map(({ metric, average, total }) => `${metric} ${average}/day (total ${total})`)
+  return `${text}  - Averages: ${averages.join(', ')}\n`
+}
+
+function describeWindows({ timeWindow, compareWindow }, data) {
+  if (!timeWindow) return ''
+  let text = '\nTIME WINDOW (dates the question asks about):\n'
+  text += describeWindow('Asked about', timeWindow, data)
+  if (compareWindow) text += describeWindow('Compared with', compareWindow, data)
+  return text
+}
+
+// Only apps that exist in the data are recognised. Time windows are resolved
+// against the days the data covers and the user's calendar
+export function understandQuestion(question, { healthData, screenTimeData, settings = {} }) {
+  const now = today(settings.timeZone)
+  const dates = [...healthData, ...screenTimeData].map(record => record.date).sort()
+  const calendar = {
+    first: dates[0] || now,
+    latest: dates[dates.length - 1] || now,
+    today: now,
+    weekStart: settings.weekStart ?? 0,
+  }
+  return parseQuestion(question, { apps: [...new Set(screenTimeData.map(item => item.app))], calendar })
+}
+
+// Runs the computations the parsed question calls for (see queryParser.js)
+function extractComputedInsights(query, metrics, healthData, screenTimeData) {
+  const insights = {}
+  const { intent, apps, breakdown, timeWindow, compareWindow } = query
+  const asks = (metric) => query.metrics.includes(metric)
+  
+  // App rankings are computed over ALL apps, not just the top 10 in the metrics
+  if (intent === 'ranking' && asks('screenTime') && !apps.length) {
+    const allApps = computeAllAppTotals(inWindow(screenTimeData, timeWindow))
+    if (allApps.length && query.direction === 'most') {
+      insights.mostUsedApp = allApps[0]
+      insights.topApps = allApps.slice(0, 5)
+    }
+    if (allApps.length && query.direction === 'least') {
+      insights.leastUsedApp = allApps[allApps.length - 1]
+      insights.bottomApps = allApps.slice(-5).reverse()
+    }
+  }
+  
+  // App-specific weekday/weekend questions
+  if (apps.length && breakdown === 'weekday-weekend') {
+    insights.appWeekdayWeekend = computeAppWeekdayWeekendStats(apps[0], inWindow(screenTimeData, timeWindow))
+  }
+  
+  // Trends compare the question's window with the one it names or the one before
+  // it; the last 30 days against the 30 before when it has none. Comparisons
+  // between two windows ("this week vs last week") are worked out the same way
+  if (intent === 'trend' || (intent === 'comparison' && compareWindow)) {
+    const trendOf = (metric) => (timeWindow
+      ? computeRangeTrend(healthData, metric, timeWindow, comparedRange(query))
+      : computeTrendStats(healthData, metric))
+    if (asks('steps')) insights.stepsTrend = trendOf('steps')
+    if (asks('sleep')) insights.sleepTrend = trendOf('sleep')
+    if (asks('workout')) insights.workoutTrend = trendOf('workout')
+  }
+  
+  // Relationship between exercise and sleep, over the window or the last 30 days
+  if ((intent === 'correlation' || intent === 'comparison') && asks('workout') && asks('sleep')) {
+    const recent = timeWindow ? inWindow(healthData, timeWindow) : healthData.slice(-30)
+    const { withWorkout, withoutWorkout, difference, workoutDays, restDays } = compareWorkoutDays(recent, 'sleep')
+    insights.exerciseSleepRelationship = {
+      avgSleepWithWorkout: withWorkout,
+      avgSleepNoWorkout: withoutWorkout,
+      difference,
+      workoutDays,
+      noWorkoutDays: restDays,
+    }
+  }
+  
+  return insights
+}
+
+const span = ({ from, to, days }) => `${from} to ${to} (${days} days)`
+
+// Both ranges are the days with data, which may be fewer than the window asked about
+function describeTrend(name, { recent, previous, recentAvg, previousAvg, change, percentChange, trend }, unit, format) {
+  let text = `\n${name} Trend (${span(recent)} vs ${span(previous)}):\n`
+  text += `- Average ${recent.from} to ${recent.to}: ${format(recentAvg)}\n`
+  text += `- Average ${previous.from} to ${previous.to}: ${format(previousAvg)}\n`
+  text += `- Change: ${change > 0 ? '+' : ''}${change} ${unit} (${percentChange > 0 ? '+' : ''}${percentChange}%) - ${trend}\n`
+  return text
+}
+
+// What each grouping of a chart (see src/utils/chartSpec.js) draws
+const CHART_SHOWS = {
+  day: 'One point per day',
+  workout: 'Daily average on days with a workout against rest days',
+  'weekday-weekend': 'Daily average on weekdays against weekends',
+  app: 'Total screen time per app, largest first',
+  category: 'Total screen time per category, largest first',
+}
+
+function describeChartDates(range) {
+  if (!range) return 'all the data'
+  if (range.from && range.to) return `${range.from} to ${range.to}`
+  return range.from ? `from ${range.from}` : `until ${range.to}`
+}
+
+// The chart the user is looking at, worked out from the same spec and data it is
+// drawn from, so the answer quotes the numbers on screen
+function describeChart(chart, data) {
+  const { groupBy, range } = chart
+  const { rows, series } = buildChartData(chart, data)
+  const { category } = chart.series[0]
+  let text = `\nCHART DATA (exactly what "${chart.title}" shows):\n`
+  text += `- ${CHART_SHOWS[groupBy]}${category ? `, ${category} apps only` : ''}\n`
+  text += `- Dates: ${describeChartDates(range)}\n`
+  if (!rows.length) return `${text}- The chart is empty: there is no data for these dates\n`
+
+  if (groupBy === 'app' || groupBy === 'category') {
+    const all = rankTotals(groupBy, chart.series[0], data, range)
+    const hidden = all.slice(rows.length)
+    text += `- Bars (total minutes): ${rows.map(row => `${row.label} ${row.s0}`).join(', ')}\n`
+    if (hidden.length) {
+      const minutes = hidden.reduce((sum, row) => sum + row.s0, 0)
+      text += `- Not on the chart: ${hidden.length} more ${groupBy === 'app' ? 'apps' : 'categories'} with ${minutes} min in all\n`
+    }
+    return text
+  }
+
+  if (groupBy !== 'day') {
+    rows.forEach(row => {
+      text += `- ${row.label}: ${series.map(s => `${s.label} ${row[s.key] ?? 'no data'}`).join(', ')}\n`
+    })
+    return text
+  }
+
+  const values = series.map(s => rows.filter(row => row[s.key] !== null).map(row => ({ date: row.date, value: row[s.key] })))
+  text += `- Days shown: ${rows[0].date} to ${rows[rows.length - 1].date}\n`
+  series.forEach((s, i) => {
+    const { days, total, average, min, max } = aggregateValues(values[i])
+    if (!days) return
+    text += `- ${s.label}: average ${average} over ${days} days, total ${total}, lowest ${min.value} on ${min.date}, highest ${max.value} on ${max.date}\n`
+  })
+  if (series.length > 1) {
+    const { days, coefficient, strength } = correlateValues(values[0], values[1])
+    text += `- Same-day correlation between the two: ${coefficient ?? '-'} (${strength}, ${days} days)\n`
+  }
+  text += `- Daily values (${series.map(s => s.label).join(' / ')}): ${rows.map(row => `${row.date}: ${series.map(s => row[s.key] ?? 'no data').join(' / ')}`).join(', ')}\n`
+  return text
+}
+
+// A question about a chart on the Dashboard. chart is the spec it is drawn from
+// (see src/utils/chartSpec.js), so the prompt covers exactly its series and dates.
+// The insights are computed over the same records, so "which app do I use most?"
+// about a category's chart names that category's top app in the chart's dates.
+// The chart is returned with the request so the follow-ups can be about it too
+export function buildChartRequest({ question, chart, metrics, healthData, screenTimeData, settings }) {
+  const query = understandQuestion(question, { healthData, screenTimeData, settings })
+  const shown = chartRecords(chart, { healthData, screenTimeData })
+  const computedInsights = extractComputedInsights(query, metrics, shown.healthData, shown.screenTimeData)
+  const chartData = describeChart(chart, { healthData, screenTimeData })
+
+  // Build computed insights section (reuse existing logic)
+  let computedInsightsText = ''
+  if (Object.keys(computedInsights).length > 0) {
+    computedInsightsText = '\n\nCOMPUTED INSIGHTS (extracted directly from data):\n'
+    
+    if (computedInsights.mostUsedApp) {
+      const { app, minutes } = computedInsights.mostUsedApp
+      computedInsightsText += `\nMOST USED APP (EXACT ANSWER):\n- App: ${app}\n- Total minutes: ${minutes} min\n`
+    }
+    
+    if (computedInsights.leastUsedApp) {
+      const { app, minutes } = computedInsights.leastUsedApp
+      computedInsightsText += `\nLEAST USED APP (EXACT ANSWER):\n- App: ${app}\n- Total minutes: ${minutes} min\n`
+    }
+    
+    if (computedInsights.appWeekdayWeekend) {
+      const { appName, weekday, weekend } = computedInsights.appWeekdayWeekend
+      computedInsightsText += `\n${appName} - Weekday vs Weekend Usage:\n- Weekdays: ${weekday.avgMinutes} min/day avg\n- Weekends: ${weekend.avgMinutes} min/day avg\n`
+    }
+    
+    if (computedInsights.stepsTrend) {
+      const { change, percentChange, trend } = computedInsights.stepsTrend
+      computedInsightsText += `\nSteps Trend: ${trend} (${change > 0 ? '+' : ''}${change} steps, ${percentChange > 0 ? '+' : ''}${percentChange}%)\n`
+    }
+    
+    if (computedInsights.exerciseSleepRelationship) {
+      const { avgSleepWithWorkout, avgSleepNoWorkout, difference } = computedInsights.exerciseSleepRelationship
+      computedInsightsText += `\nExercise vs Sleep: ${difference > 0 ? '+' : ''}${difference} min difference (workout days: ${avgSleepWithWorkout} min, non-workout: ${avgSleepNoWorkout} min)\n`
+    }
+  }
+
+  const prompt = `You are a health data assistant. Answer questions about a specific chart: "${chart.title}".
+
+${chartData}
+${describeCalendar(healthData, settings)}${describeManualEntries(healthData, screenTimeData)}
+
+User question: ${question}
+${computedInsightsText}
+
+IMPORTANT: Focus your answer specifically on the chart data shown above - it covers exactly the dates and series on the chart, and the computed insights cover the same records. Be concise, specific, and use their exact numbers.`
+
+  return {
+    messages: [
+      {
+        role: 'system',
+        content: `You are a helpful health data assistant. Answer questions about the specific chart: "${chart.title}". Focus on the chart data provided.`
+      },
+      {
+        role: 'user',
+        content: prompt
+      }
+    ],
+    query,
+    chart,
+  }
+}
+
+// Averages, workout days and top apps over a range of days, or the whole-data
+// metrics the client sent when there is none
+function summarizeData(range, metrics, data) {
+  if (!range) {
+    const { avgSteps, avgSleep, avgEnergy, avgWorkout, workoutDays, totalDays } = metrics.health
+    const { topApps, topCategories, avgDaily } = metrics.screenTime
+    return {
+      health: { avgSteps, avgSleep, avgEnergy, avgWorkout, workoutDays, totalDays },
+      screenTime: { topApps: topApps.slice(0, 10), topCategories, avgDaily },
+    }
+  }
+  const health = inWindow(data.healthData, range)
+  const screenTime = inWindow(data.screenTimeData, range)
+  const average = (metric) => aggregateValues(inWindow(dailyValues(metric, data), range)).average
+  return {
+    health: {
+      avgSteps: average('steps'),
+      avgSleep: average('sleep'),
+      avgEnergy: average('energy'),
+      avgWorkout: average('workout'),
+      workoutDays: health.filter(d => d.workout > 0).length,
+      totalDays: health.length,
+    },
+    screenTime: {
+      topApps: computeAllAppTotals(screenTime).slice(0, 10),
+      topCategories: computeCategoryTotals(screenTime),
+      avgDaily: average('screenTime'),
+    },
+  }
+}
+
+// history holds the earlier turns of the thread ([{ question, answer, insights }]),
+// oldest first. Returns the insights computed for this question alongside the
+// request so the client can send them back with follow-ups
+export function buildAskRequest({ question, history = [], metrics, healthData, screenTimeData, settings }) {
+  // Extract computed insights from the data
+  const query = understandQuestion(question, { healthData, screenTimeData, settings })
+  const computedInsights = extractComputedInsights(query, metrics, healthData, screenTimeData)
+
+  // The daily lists cover the question's window (and the one it is compared with),
+  // or the last 30 days
+  const dailyRange = windowsRange(query)
+  const daily = (records) => (dailyRange ? inWindow(records, dailyRange) : records.slice(-30))
+  const dailyLabel = dailyRange ? `Days ${dailyRange.from} to ${dailyRange.to}` : 'Recent 30 days'
+
+  // Prepare app usage by date for additional context
+  const appUsageByDate = {}
+  daily(screenTimeData).forEach(item => {
+    if (!appUsageByDate[item.date]) {
+      appUsageByDate[item.date] = {}
+    }
+    if (!appUsageByDate[item.date][item.app]) {
+      appUsageByDate[item.date][item.app] = 0
+    }
+    appUsageByDate[item.date][item.app] += item.minutes
+  })
+
+  // Prepare statistics for the LLM
+  const summary = summarizeData(dailyRange, metrics, { healthData, screenTimeData })
+  const summaryLabel = dailyRange ? `${dailyRange.from} to ${dailyRange.to}, the dates the question asks about` : 'all the data'
+  const stats = {
+    health: {
+      ...summary.health,
+      daily: {
+        steps: daily(healthData).map(d => ({ date: d.date, value: d.steps })),
+        sleep: daily(healthData).map(d => ({ date: d.date, value: d.sleep })),
+        workout: daily(healthData).map(d => ({ date: d.date, value: d.workout })),
+      }
+    },
+    screenTime: {
+      ...summary.screenTime,
+      appUsageByDate: Object.entries(appUsageByDate).map(([date, apps]) => ({
+        date,
+        isWeekend: isWeekend(date),
+        apps
+      }))
+    }
+  }
+
+  const formatSleep = (minutes) => `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+  const formatApp = (app) => `${app.app} (${app.minutes} min)`
+  const formatCategory = (cat) => `${cat.category} (${cat.minutes} min)`
+
+  // Build computed insights section
+  let computedInsightsText = ''
+  if (Object.keys(computedInsights).length > 0) {
+    
+    // Most/Least used app - EXACT ANSWER
+    if (computedInsights.mostUsedApp) {
+      const { app, minutes } = computedInsights.mostUsedApp
+      computedInsightsText += `\nMOST USED APP (EXACT ANSWER):\n`
+      computedInsightsText += `- App: ${app}\n`
+      computedInsightsText += `- Total minutes: ${minutes} min\n`
+      if (computedInsights.topApps) {
+        computedInsightsText += `- Top 5 apps for reference: ${computedInsights.topApps.map(a => `${a.app} (${a.minutes} min)`).join(', ')}\n`
+      }
+    }
+    
+    if (computedInsights.leastUsedApp) {
+      const { app, minutes } = computedInsights.leastUsedApp
+      computedInsightsText += `\nLEAST USED APP (EXACT ANSWER):\n`
+      computedInsightsText += `- App: ${app}\n`
+      computedInsightsText += `- Total minutes: ${minutes} min\n`
+      if (computedInsights.bottomApps) {
+        computedInsightsText += `- Bottom 5 apps for reference: ${computedInsights.bottomApps.map(a => `${a.app} (${a.minutes} min)`).join(', ')}\n`
+      }
+    }
+    
+    if (computedInsights.appWeekdayWeekend) {
+      const { appName, weekday, weekend } = computedInsights.appWeekdayWeekend
+      computedInsightsText += `\n${appName} - Weekday vs Weekend Usage:\n`
+      computedInsightsText += `- Weekdays (${weekday.days} days): Average ${weekday.avgMinutes} min/day, Total ${weekday.totalMinutes} min\n`
+      computedInsightsText += `- Weekends (${weekend.days} days): Average ${weekend.avgMinutes} min/day, Total ${weekend.totalMinutes} min\n`
+      computedInsightsText += `- Difference: ${weekend.avgMinutes - weekday.avgMinutes} min (${weekend.avgMinutes > weekday.avgMinutes ? 'more' : 'less'} on weekends)\n`
+      computedInsightsText += `- Weekday breakdown: ${weekday.dailyBreakdown.map(d => `${d.date}: ${d.minutes} min`).join(', ')}\n`
+      computedInsightsText += `- Weekend breakdown: ${weekend.dailyBreakdown.map(d => `${d.date}: ${d.minutes} min`).join(', ')}\n`
+    }
+    
+    if (computedInsights.stepsTrend) {
+      computedInsightsText += describeTrend('Steps', computedInsights.stepsTrend, 'steps', (value) => `${value} steps/day`)
+    }
+    
+    if (computedInsights.sleepTrend) {
+      computedInsightsText += describeTrend('Sleep', computedInsights.sleepTrend, 'min', (value) => `${value} min/day (${formatSleep(value)})`)
+    }
+    
+    if (computedInsights.workoutTrend) {
+      computedInsightsText += describeTrend('Workout', computedInsights.workoutTrend, 'min', (value) => `${value} min/day`)
+    }
+    
+    if (computedInsights.exerciseSleepRelationship) {
+      const { avgSleepWithWorkout, avgSleepNoWorkout, difference, workoutDays, noWorkoutDays } = computedInsights.exerciseSleepRelationship
+      computedInsightsText += `\nExercise vs Sleep Relationship:\n`
+      computedInsightsText += `- Average sleep on workout days: ${avgSleepWithWorkout} min (${formatSleep(avgSleepWithWorkout)}) (${workoutDays} days)\n`
+      computedInsightsText += `- Average sleep on non-workout days: ${avgSleepNoWorkout} min (${formatSleep(avgSleepNoWorkout)}) (${noWorkoutDays} days)\n`
+      computedInsightsText += `- Difference: ${difference > 0 ? '+' : ''}${difference} min (${difference > 0 ? 'more' : 'less'} sleep on workout days)\n`
+    }
+  }
+
+  const insights = computedInsightsText.trim()
+  if (insights) computedInsightsText = `\n\nCOMPUTED INSIGHTS (extracted directly from data):\n${computedInsightsText}`
+
+  // Figures computed for earlier questions, so "what about on weekends?" can build on them
+  const earlierInsights = history
+    .filter(turn => turn.insights)
+    .map(turn => `For "${turn.question}":\n${turn.insights}`)
+    .join('\n\n')
+  const earlierInsightsText = earlierInsights
+    ? `\n\nINSIGHTS COMPUTED EARLIER IN THIS CONVERSATION (still accurate):\n${earlierInsights}\n`
+    : ''
+
+  const queryText = `\n\nQUESTION ANALYSIS:\n${describeQuery(query)}\n` +
+    (query.unsure ? `- Unsure: ${query.clarification}\n` : '')
+
+  const prompt = `You are a health data assistant. Answer questions about health and screen time data.
+
+Health Data (${summaryLabel}):
+- Average steps per day: ${stats.health.avgSteps}
+- Average sleep per day: ${stats.health.avgSleep} minutes (${formatSleep(stats.health.avgSleep)})
+- Average active energy per day: ${stats.health.avgEnergy} kcal
+- Average workout minutes per day: ${stats.health.avgWorkout}
+- Days with workouts: ${stats.health.workoutDays} out of ${stats.health.totalDays}
+- ${dailyLabel} steps (date, value): ${stats.health.daily.steps.map(d => `${d.date}:${d.value}`).join(', ')}
+- ${dailyLabel} sleep (date, minutes): ${stats.health.daily.sleep.map(d => `${d.date}:${d.value}`).join(', ')}
+- ${dailyLabel} workout (date, minutes): ${stats.health.daily.workout.map(d => `${d.date}:${d.value}`).join(', ')}
+
+Screen Time Data (${summaryLabel}):
+- Top apps: ${stats.screenTime.topApps.map(formatApp).join(', ')}
+- Top categories: ${stats.screenTime.topCategories.map(formatCategory).join(', ')}
+- Average daily screen time: ${stats.screenTime.avgDaily} minutes
+${describeCalendar(healthData, settings)}${describeWindows(query, { healthData, screenTimeData })}${describeManualEntries(healthData, screenTimeData)}${computedInsightsText}${earlierInsightsText}${queryText}
+
+User question: ${question}
+
+CRITICAL INSTRUCTIONS:
+- If the COMPUTED INSIGHTS section contains an EXACT ANSWER (marked with "EXACT ANSWER"), you MUST use that exact answer. Do NOT guess, estimate, or use approximate values from other sections.
+- The EXACT ANSWER sections are calculated directly from ALL the data in the JSON files - they are 100% accurate and complete.
+- For questions about "most used app" or "least used app", the EXACT ANSWER above is the definitive answer. Use the app name and minutes exactly as shown.
+- Do NOT use the "Top apps" list from the Screen Time Data section for these questions - that only shows top 10, not all apps.
+- If tools are available, call them for exact figures the data above doesn't give (other date ranges, totals, correlations) instead of estimating, and use their results exactly.
+- If the QUESTION ANALYSIS is marked unsure and the earlier messages don't settle it, say what you assumed or ask a short clarifying question instead of guessing.
+- If the TIME WINDOW section is present, answer for exactly those dates, not the whole data or the last 30 days.
+- The pre-computed relationships pair values from the same day. For effects on the next day or night, call correlate_metrics with lagDays instead of using them.
+- If the user asks to see, show, plot or chart something and the show_chart tool is available, call it once to draw the chart next to your answer, for the same dates, and still answer in words. Don't describe the chart's every value.
+- This may be a follow-up to the earlier messages. Use them to work out what "that", "it" or "what about last month?" refers to.
+- Be specific with data when relevant. Keep it concise and friendly.`
+
+  return {
+    messages: [
+      {
+        role: 'system',
+        content: 'You are a helpful health data assistant. Answer questions accurately using the provided statistics.'
+      },
+      ...history.flatMap(turn => [
+        { role: 'user', content: turn.question },
+        { role: 'assistant', content: turn.answer },
+      ]),
+      {
+        role: 'user',
+        content: prompt
+      }
+    ],
+    insights,
+    query,
+  }
+}
+
+// Asks again after verification found figures in `answer` that aren't in the
+// data. The tool results from the first attempt are repeated so the model doesn't
+// have to call the tools again
+export function buildRetryRequest(request, answer, mismatches, toolCalls = []) {
+  const toolText = toolCalls.length
+    ? `\n\nResults of the tools you called:\n${toolCalls.map(describeToolCall).join('\n')}`
+    : ''
+  return {
+    ...request,
+    messages: [
+      ...request.messages,
+      { role: 'assistant', content: answer },
+      {
+        role: 'user',
+        content: `Some details in your answer do not match the data:\n${mismatches.map(m => `- ${m.message}`).join('\n')}${toolText}
+
+Answer the question again using only the figures, apps and dates given above, exactly as shown. Do not mention this correction.`
+      },
+    ],
+  }
+}
+
+// Has the model put an answer the rule engine worked out (see answerEngine.js) in
+// its own words. Only the wording may change; the answer is checked afterwards
+// and sent as computed if a figure moved
+export function buildRewordRequest({ question, history = [] }, answer) {
+  return {
+    messages: [
+      {
+        role: 'system',
+        content: 'You are a helpful health data assistant. You reword answers that were computed from the user\'s data.'
+      },
+      ...history.flatMap(turn => [
+        { role: 'user', content: turn.question },
+        { role: 'assistant', content: turn.answer },
+      ]),
+      {
+        role: 'user',
+        content: `User question: ${question}
+
+ANSWER COMPUTED FROM THE DATA:
+${answer}
+
+Reword this answer so it reads naturally as a reply to the question. Keep every number, app name and date exactly as written, add no new figures and leave nothing out. Keep it concise and friendly.`
+      },
+    ],
+  }
+}
@@ -0,0 +1,110 @@
+// Deterministic provider for tests, CI (no network) and offline demos. It never
+// calls out; the answer is built from the prompt alone, so the same question over
+// the same data always gets the same answer. When the prompt has pre-computed
+// insights or chart data the answer repeats them, which keeps the exact numbers
+// checkable, and asked to reword a computed answer it repeats that answer.
+// Offered tools are called the way the question parser reads the question, over
+// the dates the prompt's question analysis resolved, and their results are
+// repeated in the answer
+import { parseQuestion } from '../queryParser.js'
+import { chartArguments } from '../charts.js'
+
+const QUESTION_PATTERN = /^User question: (.*)$/m
+const INSIGHTS_MARKER = 'COMPUTED INSIGHTS (extracted directly from data):'
+const CHART_MARKER = 'CHART DATA ('
+const REWORD_PATTERN = /^ANSWER COMPUTED FROM THE DATA:\n(.*)$/m
+const WINDOW_PATTERN = /^- time window: .* = (\d{4}-\d{2}-\d{2}) to (\d{4}-\d{2}-\d{2}) \(/m
+
+// Rough token count (about 4 characters per token) so usage figures aren't all zero
+const estimateTokens = (text) => Math.ceil(text.length / 4)
+
+function findSection(prompt, marker) {
+  const start = prompt.indexOf(marker)
+  if (start === -1) return []
+  // The block runs until the next section of the prompt
+  const block = prompt.slice(start).split(/\n(?=User question:|QUESTION ANALYSIS:|INSIGHTS COMPUTED EARLIER|IMPORTANT:|CRITICAL INSTRUCTIONS:|CALENDAR:)/)[0]
+  return block.split('\n').slice(1).map(line => line.trim()).filter(Boolean)
+}
+
+const HEALTH_METRICS = ['steps', 'sleep', 'energy', 'workout']
+
+// The tool calls a question calls for, as [name, arguments] pairs, plus show_chart
+// when it asks to see the answer. The prompt has the question's time window
+// resolved to dates, which the range tools are called with
+function chooseToolCalls(question, prompt) {
+  const query = parseQuestion(question)
+  const [, from, to] = prompt.match(WINDOW_PATTERN) || []
+  const chart = query.wantsChart && chartArguments(query)
+  return [...analysisCalls(query, from ? { from, to } : {}), ...(chart ? [['show_chart', chart]] : [])]
+}
+
+function analysisCalls({ intent, metrics, direction, timeWindow }, range) {
+  const healthMetric = metrics.find(metric => HEALTH_METRICS.includes(metric))
+  if (intent === 'ranking' && metrics.includes('screenTime')) {
+    return [['get_app_totals', { ...range, order: direction || 'most', limit: 5 }]]
+  }
+  if (intent === 'trend' && healthMetric) {
+    return [['get_metric_trend', { metric: healthMetric, ...(timeWindow?.days > 1 && { days: timeWindow.days }) }]]
+  }
+  if (intent === 'correlation' && metrics.length >= 2) {
+    return [['correlate_metrics', { first: metrics[0], second: metrics[1], ...range }]]
+  }
+  if ((intent === 'average' || intent === 'total') && metrics.length) {
+    return [['aggregate_metric', { metric: metrics[0], ...range }]]
+  }
+  return []
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// delayMs spaces out streamed words so streaming and cancelling can be tried offline
+export function createMockProvider({ delayMs = 0 } = {}) {
+  return {
+    name: 'mock',
+    async complete({ messages, tools }) {
+      const prompt = messages.map(message => message.content || '').join('\n')
+      const question = prompt.match(QUESTION_PATTERN)?.[1]?.trim() || 'your question'
+      const usage = (content) => ({ promptTokens: estimateTokens(prompt), completionTokens: estimateTokens(content) })
+
+      // Tools are called once, before answering
+      const toolResults = messages.filter(message => message.role === 'tool')
+      if (tools?.length && !toolResults.length) {
+        const offered = tools.map(tool => tool.name)
+        const toolCalls = chooseToolCalls(question, prompt)
+          .filter(([name]) => offered.includes(name))
+          .map(([name, args], i) => ({ id: `mock-call-${i + 1}`, name, arguments: JSON.stringify(args) }))
+        if (toolCalls.length) return { content: '', toolCalls, usage: usage('') }
+      }
+
+      const computed = prompt.match(REWORD_PATTERN)?.[1]
+      if (computed) {
+        const content = `Mock rewording for "${question}": ${computed}`
+        return { content, toolCalls: [], usage: usage(content) }
+      }
+
+      const calls = messages.flatMap(message => message.tool_calls || [])
+      const findings = [
+        ...findSection(prompt, CHART_MARKER),
+        ...findSection(prompt, INSIGHTS_MARKER),
+        ...toolResults.map(message => {
+          const call = calls.find(c => c.id === message.tool_call_id)
+          return `${call?.function.name || 'tool'}: ${message.content}`
+        }),
+      ]
+      const content = findings.length
+        ? `Mock answer to "${question}":\n${findings.join('\n')}`
+        : `Mock answer to "${question}": no pre-computed insight matches this question.`
+      return { content, toolCalls: [], usage: usage(content) }
+    },
+
+    async *stream({ messages, tools, signal }) {
+      const { content, toolCalls, usage } = await this.complete({ messages, tools })
+      for (const word of content.split(/(?<=\s)/)) {
+        if (signal?.aborted) return
+        if (delayMs) await sleep(delayMs)
+        yield { type: 'text', text: word }
+      }
+      yield { type: 'done', toolCalls, usage }
+    },
+  }
+}
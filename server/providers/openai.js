@@ -0,0 +1,70 @@
+// OpenAI chat completions. Also used for OpenAI-compatible servers (Ollama,
+// LM Studio, vLLM, llama.cpp) by pointing baseURL at them
+import OpenAI from 'openai'
+
+const toOpenAITools = (tools) => tools?.map(tool => ({ type: 'function', function: tool }))
+
+const toUsage = (usage) => usage && {
+  promptTokens: usage.prompt_tokens,
+  completionTokens: usage.completion_tokens,
+}
+
+export function createOpenAIProvider({ name = 'openai', apiKey, baseURL }) {
+  const client = new OpenAI({ apiKey, baseURL })
+
+  return {
+    name,
+    async complete({ messages, model, temperature, maxTokens, tools }) {
+      const response = await client.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        tools: toOpenAITools(tools),
+      })
+      const message = response.choices[0].message
+      return {
+        content: message.content || '',
+        toolCalls: (message.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function.name,
+          arguments: call.function.arguments,
+        })),
+        usage: toUsage(response.usage),
+      }
+    },
+
+    // Yields { type: 'text', text } as the answer arrives, then { type: 'done', toolCalls, usage }.
+    // Usage comes in a final chunk; servers that don't send it leave it undefined.
+    // Aborting the signal cancels the request
+    async *stream({ messages, model, temperature, maxTokens, tools, signal }) {
+      const stream = await client.chat.completions.create(
+        {
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          tools: toOpenAITools(tools),
+          stream: true,
+          stream_options: { include_usage: true },
+        },
+        { signal }
+      )
+      // Tool calls arrive in pieces, keyed by their index
+      const toolCalls = []
+      let usage
+      for await (const chunk of stream) {
+        if (chunk.usage) usage = toUsage(chunk.usage)
+        const delta = chunk.choices[0]?.delta
+        if (delta?.content) yield { type: 'text', text: delta.content }
+        delta?.tool_calls?.forEach(part => {
+          const call = toolCalls[part.index] || (toolCalls[part.index] = { id: '', name: '', arguments: '' })
+          if (part.id) call.id = part.id
+          if (part.function?.name) call.name += part.function.name
+          if (part.function?.arguments) call.arguments += part.function.arguments
+        })
+      }
+      yield { type: 'done', toolCalls: toolCalls.filter(Boolean), usage }
+    },
+  }
+}
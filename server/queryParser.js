@@ -0,0 +1,251 @@
+// Query understanding for Ask Altu: works out what a question is asking for before
+// anything is computed. parseQuestion returns
+//
+//   {
+//     intent: 'ranking' | 'trend' | 'comparison' | 'correlation' | 'total' | 'average' | null,
+//     metrics: ['steps', 'sleep', 'energy', 'workout', 'screenTime'],
+//     apps: ['X'], categories: ['Social'],
+//     direction: 'most' | 'least' | null,       // for rankings
+//     breakdown: 'weekday-weekend' | null,
+//     timeWindow: { phrase: 'last 2 weeks', kind: 'rolling', days: 14 } | null,
+//     compareWindow: { phrase: 'vs the two before', kind: 'previous' } | null,
+//                                              // an impossible date makes the parse unsure
+//     wantsChart: boolean,                     // "show", "plot", "graph", "chart"
+//     confidence: 0..1, unsure: boolean, clarification: string | null,
+//   }
+//
+// Keywords are matched as whole words, so "x" in "exercise" is not the X app and
+// "most" in "almost" is not a ranking. The phrasings in queryCorpus.json pin down
+// how questions are read.
+//
+// Time windows are read by timeWindows.js. Given the calendar (the first and latest
+// days in the data, today and the week start), both windows are also resolved to
+// dates, adding { from, to, days }
+import { KNOWN_CATEGORIES } from '../src/utils/validation.js'
+import { findTimeWindows, resolveTimeWindow } from './timeWindows.js'
+
+export const INTENTS = ['ranking', 'trend', 'comparison', 'correlation', 'total', 'average']
+
+export const QUERY_METRICS = ['steps', 'sleep', 'energy', 'workout', 'screenTime']
+
+// Below this the question is reported as unsure and the caller should say what it assumed
+const UNSURE_BELOW = 0.6
+
+// [pattern, weight] - an intent's score is the sum of the weights of its patterns that match
+const INTENT_PATTERNS = {
+  ranking: [
+    [/\b(most|least|top|bottom|highest|lowest|biggest|fewest|favou?rite|rank(s|ed|ing)?)\b/, 2],
+    [/\bwhich (app|category|day)s?\b/, 1],
+  ],
+  trend: [
+    [/\btrend(s|ed|ing)?\b/, 2],
+    [/\bover (time|the (past|last))\b/, 1],
+    [/\b(increas|decreas|declin|improv|drop)\w*/, 2],
+    [/\b(going|gone|went) (up|down)\b/, 2],
+    [/\bgetting (better|worse|more|less)\b/, 2],
+    [/\bchang(e|ed|es|ing)\b/, 1],
+  ],
+  comparison: [
+    [/\b(vs\.?|versus|compar(e|ed|es|ing|ison))\b/, 2],
+    [/\bdiffer(s|ed|ence|ent)?\b/, 2],
+    [/\b(more|less|fewer) than\b/, 1],
+    [/\bweek ?(days?|ends?)\b/, 1],
+  ],
+  correlation: [
+    [/\b(relat(e|es|ed|ion|ionship)|correlat\w*|linked|connection|connected)\b/, 3],
+    [/\b(affect(s|ed)?|impact(s|ed)?|influenc(e|es|ed)|effect (of|on))\b/, 3],
+    [/\b(on|the) days? (when |that )?i\b/, 2],
+    [/\bdays? (with|without) (a |any )?(work ?outs?|exercise)\b/, 2],
+    [/\bwhen i (work ?out|exercise|sleep)\b/, 2],
+  ],
+  total: [
+    [/\b(total|in total|altogether|sum)\b/, 2],
+    [/\bhow (many|much)\b/, 1],
+    [/\bnumber of\b/, 1],
+  ],
+  average: [
+    [/\b(average|avg|mean|typical(ly)?|usually|normally)\b/, 2],
+    [/\bper (day|night|week)\b/, 2],
+    [/\b(a|each|every) (day|night)\b/, 2],
+    [/\bdaily\b/, 1],
+  ],
+}
+
+const METRIC_PATTERNS = {
+  steps: /\b(steps?|walk(s|ed|ing)?)\b/,
+  sleep: /\b(sleep(s|ing)?|slept|bed ?time)\b/,
+  energy: /\b(energy|calories?|kcal|burn(s|ed|t)?)\b/,
+  workout: /\b(work ?outs?|work(ed|ing)? out|exercis(e|ed|es|ing)|train(ing)?|gym|active minutes)\b/,
+  screenTime: /\b(screen ?time|screens?|phone|apps?|usage|use[ds]?|using)\b/,
+}
+
+// Asking to see the answer rather than be told it: "show me my sleep", "plot how
+// steps changed", "as a chart" - but not "what does this chart show?"
+const CHART_PATTERN = /\b(show|plot|graph|chart|visuali[sz]e|draw)( me)? (my|me|a|an|the|how|what|which|when)\b|\b(a|as a|in a) (chart|graph|plot)\b/
+
+const DIRECTION_PATTERNS = {
+  most: /\b(most|top|highest|biggest|favou?rite|more)\b/,
+  least: /\b(least|bottom|lowest|fewest|less)\b/,
+}
+
+// Other names people use for apps, mapped to the names the data may use for them
+const APP_ALIASES = {
+  twitter: ['X', 'Twitter'],
+  tweets: ['X', 'Twitter'],
+  ig: ['Instagram'],
+  insta: ['Instagram'],
+  yt: ['YouTube'],
+  fb: ['Facebook'],
+  'tik tok': ['TikTok'],
+  'google maps': ['Maps'],
+}
+
+// App names that are also everyday words ("my health", "sleep notes") only count as
+// the app when capitalised or called an app, e.g. "Health app" or "the Notes app"
+const COMMON_WORD_APPS = ['calendar', 'camera', 'health', 'maps', 'notes', 'photos', 'settings', 'weather', 'clock', 'music', 'news', 'books', 'mail']
+
+// Short names for the Screen Time categories
+const CATEGORY_ALIASES = {
+  social: 'Social',
+  'social media': 'Social',
+  entertainment: 'Entertainment',
+  productivity: 'Productivity & Finance',
+  finance: 'Productivity & Finance',
+  games: 'Games',
+  gaming: 'Games',
+  education: 'Education',
+  reading: 'Information & Reading',
+  news: 'Information & Reading',
+  shopping: 'Shopping & Food',
+  food: 'Shopping & Food',
+  travel: 'Travel',
+  utilities: 'Utilities',
+  creativity: 'Creativity',
+  fitness: 'Health & Fitness',
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const wordPattern = (phrase) => new RegExp(`(^|[^\\w])${escapeRegExp(phrase)}(?![\\w])`)
+
+function findApps(question, lower, apps) {
+  const found = new Set()
+  apps.forEach(app => {
+    const name = app.toLowerCase()
+    // Single letters (X) must be written as a capital on their own or called an app
+    if (name.length === 1) {
+      if (wordPattern(app).test(question) || wordPattern(`${name} app`).test(lower)) found.add(app)
+      return
+    }
+    if (COMMON_WORD_APPS.includes(name)) {
+      const capitalised = new RegExp(`[^.?!\\s]\\s+${escapeRegExp(app)}\\b`).test(question)
+      if (capitalised || wordPattern(`${name} app`).test(lower)) found.add(app)
+      return
+    }
+    if (wordPattern(name).test(lower)) found.add(app)
+  })
+  Object.entries(APP_ALIASES).forEach(([alias, names]) => {
+    if (!wordPattern(alias).test(lower)) return
+    const app = apps.find(a => names.some(name => name.toLowerCase() === a.toLowerCase()))
+    if (app) found.add(app)
+  })
+  return [...found]
+}
+
+function findCategories(lower, categories) {
+  const found = new Set()
+  categories.forEach(category => {
+    if (wordPattern(category.toLowerCase()).test(lower)) found.add(category)
+  })
+  Object.entries(CATEGORY_ALIASES).forEach(([alias, category]) => {
+    if (categories.includes(category) && wordPattern(alias).test(lower)) found.add(category)
+  })
+  return [...found]
+}
+
+function scoreIntents(lower) {
+  return INTENTS
+    .map(intent => ({
+      intent,
+      score: INTENT_PATTERNS[intent].reduce((sum, [pattern, weight]) => sum + (pattern.test(lower) ? weight : 0), 0),
+    }))
+    .sort((a, b) => b.score - a.score)
+}
+
+function clarify({ intent, metrics, apps, categories }, invalidWindow) {
+  if (invalidWindow) return `"${invalidWindow.phrase}" is not a range of days on the calendar, so no time window was applied.`
+  if (!intent) return 'It is not clear what to work out - a ranking, a trend, a comparison, a relationship, a total or an average.'
+  if (!metrics.length && !apps.length && !categories.length) {
+    return 'It is not clear which data this is about - steps, sleep, active energy, workouts or screen time.'
+  }
+  return `The question could be read as more than one kind of analysis; it was treated as a ${intent}.`
+}
+
+// apps and categories are the names that exist in the user's data, so only real
+// ones are recognised
+export function parseQuestion(question, { apps = [], categories = KNOWN_CATEGORIES, calendar } = {}) {
+  const lower = question.toLowerCase().replace(/\s+/g, ' ').trim()
+
+  let { timeWindow, compareWindow } = findTimeWindows(lower)
+  // Impossible dates are dropped (once resolved) rather than turned into a range
+  const invalidWindow = [timeWindow, compareWindow].find(window => window?.kind === 'invalid')
+  if (calendar) {
+    timeWindow = resolveTimeWindow(timeWindow, calendar)
+    compareWindow = resolveTimeWindow(compareWindow, calendar, timeWindow)
+  }
+
+  const scores = scoreIntents(lower)
+  const [best] = scores
+  const intent = best.score > 0 ? best.intent : null
+  // Between two time windows, "has it gone up" and "compare" ask the same thing
+  const sameQuestion = compareWindow && ['trend', 'comparison'].includes(scores[0].intent) && ['trend', 'comparison'].includes(scores[1].intent)
+  const runnerUp = sameQuestion ? scores[2] : scores[1]
+
+  const foundApps = findApps(question, lower, apps)
+  const foundCategories = findCategories(lower, categories)
+  const metrics = QUERY_METRICS.filter(metric => METRIC_PATTERNS[metric].test(lower))
+  if ((foundApps.length || foundCategories.length) && !metrics.includes('screenTime')) metrics.push('screenTime')
+
+  const breakdown = /\bweek ?(days?|ends?)\b|\b(saturdays?|sundays?)\b/.test(lower) ? 'weekday-weekend' : null
+  const wantsMost = DIRECTION_PATTERNS.most.test(lower)
+  const wantsLeast = DIRECTION_PATTERNS.least.test(lower)
+  const direction = intent === 'ranking' ? (wantsLeast && !wantsMost ? 'least' : 'most') : null
+
+  // The winning intent's share of the top two scores, halved when the question
+  // names nothing to measure
+  let confidence = intent ? best.score / (best.score + runnerUp.score) : 0
+  if (!metrics.length) confidence /= 2
+  confidence = Math.round(confidence * 100) / 100
+
+  const query = {
+    intent,
+    metrics,
+    apps: foundApps,
+    categories: foundCategories,
+    direction,
+    breakdown,
+    timeWindow,
+    compareWindow,
+    wantsChart: CHART_PATTERN.test(lower),
+    confidence,
+    unsure: confidence < UNSURE_BELOW || Boolean(invalidWindow),
+  }
+  query.clarification = query.unsure ? clarify(query, invalidWindow) : null
+  return query
+}
+
+const describeWindow = ({ phrase, from, to, days }) => (from ? `${phrase} = ${from} to ${to} (${days} days)` : phrase)
+
+// One line per finding, for the prompt
+export function describeQuery(query) {
+  const parts = [`intent: ${query.intent || 'unknown'} (confidence ${query.confidence})`]
+  if (query.metrics.length) parts.push(`metrics: ${query.metrics.join(', ')}`)
+  if (query.apps.length) parts.push(`apps: ${query.apps.join(', ')}`)
+  if (query.categories.length) parts.push(`categories: ${query.categories.join(', ')}`)
+  if (query.direction) parts.push(`direction: ${query.direction}`)
+  if (query.breakdown) parts.push(`breakdown: ${query.breakdown}`)
+  if (query.timeWindow) parts.push(`time window: ${describeWindow(query.timeWindow)}`)
+  if (query.compareWindow) parts.push(`compared with: ${describeWindow(query.compareWindow)}`)
+  if (query.wantsChart) parts.push('chart requested')
+  return parts.map(part => `- ${part}`).join('\n')
+}
@@ -0,0 +1,207 @@
+// Time windows in questions. findTimeWindows reads the date expressions in a
+// question - relative ("last 2 weeks", "this month", "yesterday") and absolute
+// ("in October", "since Sept 15", "between Oct 1 and Oct 10", "in 2025") - plus the window it
+// is compared with ("vs the two before", "compared to last month"). Each is a
+// { phrase, kind, ... } spec:
+//
+//   rolling   { days }          the last `days` days of data
+//   calendar  { unit, offset }  a day, week, month or year of the user's calendar;
+//                               offset 0 is the current one (up to today), -1 the one before
+//   dates     { from, to }      ends as { month, day?, year?, exclusive? }, either open
+//                               (null); a month without a day is the whole month
+//   previous  {}                as long as the main window, just before it (only
+//                               as the compared window)
+//   invalid   {}                a date that isn't on the calendar ("Feb 30",
+//                               "2025-13-45") or a count below one ("last 0 days");
+//                               never resolved
+//
+// resolveTimeWindow turns a spec into a concrete { from, to, days } range once the
+// data and calendar are known. Counted windows end on the latest day in the data;
+// calendar words follow today's date in the user's time zone; dates without a year
+// are the latest that isn't after the data
+import { addDays, daysBetween, startOfWeek, startOfMonth, endOfMonth, addMonths, isCalendarDate } from '../src/utils/dates.js'
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12 }
+
+const UNIT_DAYS = { day: 1, week: 7, month: 30, year: 365 }
+
+// Dates without a year are checked against a leap year, so Feb 29 is allowed
+const LEAP_YEAR = 2000
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+
+const COUNT = `(?:\\d+|${Object.keys(NUMBER_WORDS).join('|')})`
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?'
+const DAY = '\\d{1,2}(?:st|nd|rd|th)?'
+// 2025-10-05, Oct 5, Oct 5 2025, 5 October, 5th of October, October, October 2025
+const DATE = `(?:\\d{4}-\\d{2}-\\d{2}|${MONTH} ${DAY}(?:,? \\d{4})?|${DAY} (?:of )?${MONTH}(?:,? \\d{4})?|${MONTH}(?: \\d{4})?)(?![\\w-])`
+
+// "vs the two before", "compared to the previous 2 weeks", "than the week before"
+const PREVIOUS_PATTERN = new RegExp(
+  `\\b(?:vs\\.?|versus|compared (?:to|with)|than|against)\\s+(?:the\\s+)?` +
+  `(?:(?:previous|prior|preceding)(?: ${COUNT})?(?: (?:days?|weeks?|months?|years?|period|ones?))?` +
+  `|(?:${COUNT} )?(?:(?:days?|weeks?|months?|years?|ones?) )?before(?: (?:that|it|then))?)(?![\\w])`
+)
+
+// Tried in order; each match is blanked out so its words aren't read again
+const DATE_PATTERNS = [
+  [new RegExp(`\\b(?:between|from) (${DATE}) (?:and|to|until|till|through|-) (${DATE})`, 'g'), ([, from, to]) => ({ from: parseDate(from), to: parseDate(to) })],
+  [new RegExp(`\\b(since|after|starting|from) (${DATE})`, 'g'), ([, word, date]) => ({ from: { ...parseDate(date), exclusive: word === 'after' }, to: null })],
+  [new RegExp(`\\b(before|until|till|up to) (${DATE})`, 'g'), ([, word, date]) => ({ from: null, to: { ...parseDate(date), exclusive: word === 'before' } })],
+  [new RegExp(`\\b(in |on |during |for |throughout |of )?(${DATE})`, 'g'), ([, word, date]) => {
+    // "may" is a month only when it reads like one: "in May", "May 5", "May 2025"
+    if (/^may\.?$/.test(date) && !word) return null
+    const parsed = parseDate(date)
+    return { from: parsed, to: parsed }
+  }],
+  [/\b(?:in|during|for|throughout|of) (\d{4})\b(?!-)/g, ([, year]) => ({
+    from: { year: Number(year), month: 1, day: 1 },
+    to: { year: Number(year), month: 12, day: 31 },
+  })],
+]
+
+const RELATIVE_PATTERNS = [
+  [new RegExp(`\\b(?:last|past|previous) (${COUNT}) (day|week|month|year)s?\\b`, 'g'), ([, count, unit]) => {
+    const number = NUMBER_WORDS[count] ?? Number(count)
+    return number >= 1 ? { kind: 'rolling', days: number * UNIT_DAYS[unit] } : { kind: 'invalid' }
+  }],
+  // "the past month" and "in the last week" count back; "last week" is the calendar week before this one
+  [/\b(?:past|the last) (week|month|year)\b/g, ([, unit]) => ({ kind: 'rolling', days: UNIT_DAYS[unit] })],
+  [/\b(?:this|current) (week|month|year)\b/g, ([, unit]) => ({ kind: 'calendar', unit, offset: 0 })],
+  [/\b(?:last|previous) (week|month|year)\b/g, ([, unit]) => ({ kind: 'calendar', unit, offset: -1 })],
+  [/\btoday\b/g, () => ({ kind: 'calendar', unit: 'day', offset: 0 })],
+  [/\byesterday\b/g, () => ({ kind: 'calendar', unit: 'day', offset: -1 })],
+]
+
+// Words that make the window after them the one compared against
+const COMPARED_BEFORE = /\b(vs\.?|versus|compared (to|with)|than|against|relative to)\s*(the\s+)?$/
+
+const blank = (text, start, length) => text.slice(0, start) + ' '.repeat(length) + text.slice(start + length)
+
+const pad = (number) => String(number).padStart(2, '0')
+
+// { month, day?, year? }, with invalid: true when there is no such day
+function parseDate(text) {
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  if (iso) return { year: Number(iso[1]), month: Number(iso[2]), day: Number(iso[3]), ...(!isCalendarDate(text) && { invalid: true }) }
+  const month = MONTHS.indexOf(text.match(/[a-z]+/)[0].slice(0, 3)) + 1
+  const year = text.match(/\b\d{4}\b/)?.[0]
+  const day = text.replace(/\b\d{4}\b/, '').match(/\d{1,2}/)?.[0]
+  const date = { month, ...(day && { day: Number(day) }), ...(year && { year: Number(year) }) }
+  return isCalendarDate(`${year || LEAP_YEAR}-${pad(month)}-${pad(date.day || 1)}`) ? date : { ...date, invalid: true }
+}
+
+// Returns { timeWindow, compareWindow }, either null. lower is the lower-cased question
+export function findTimeWindows(lower) {
+  let text = lower
+  const found = []
+  const take = (match, spec) => {
+    found.push({ ...spec, phrase: match[0].trim(), index: match.index })
+    text = blank(text, match.index, match[0].length)
+  }
+
+  const previous = text.match(PREVIOUS_PATTERN)
+  if (previous) text = blank(text, previous.index, previous[0].length)
+  DATE_PATTERNS.forEach(([pattern, read]) => {
+    for (const match of [...text.matchAll(pattern)]) {
+      const spec = read(match)
+      if (spec) take(match, spec.from?.invalid || spec.to?.invalid ? { kind: 'invalid' } : { kind: 'dates', ...spec })
+    }
+  })
+  RELATIVE_PATTERNS.forEach(([pattern, read]) => {
+    for (const match of [...text.matchAll(pattern)]) take(match, read(match))
+  })
+  if (!found.length) return { timeWindow: null, compareWindow: null }
+
+  const windows = found
+    .sort((a, b) => a.index - b.index)
+    .map(({ index, ...window }) => ({ window, compared: COMPARED_BEFORE.test(lower.slice(0, index)) }))
+  const [first, second] = windows
+
+  // "compared to last month" on its own compares this month with last month
+  if (first.compared && !second && first.window.kind === 'calendar' && first.window.offset === -1) {
+    const { unit } = first.window
+    return { timeWindow: { phrase: `this ${unit}`, kind: 'calendar', unit, offset: 0 }, compareWindow: first.window }
+  }
+  return {
+    timeWindow: first.window,
+    compareWindow: previous ? { phrase: previous[0].trim(), kind: 'previous' } : second?.window || null,
+  }
+}
+
+// An end of a dates window on or before `anchor` when it has no year (Feb 29 the
+// latest leap year's)
+function resolveEnd(end, side, anchor) {
+  let year = end.year ?? Number(anchor.slice(0, 4))
+  const dateIn = (y) => `${y}-${pad(end.month)}-${pad(end.day || 1)}`
+  while (!end.year && (dateIn(year) > anchor || !isCalendarDate(dateIn(year)))) year--
+  const start = dateIn(year)
+  if (side === 'from') {
+    if (!end.exclusive) return start
+    return end.day ? addDays(start, 1) : addMonths(start, 1)
+  }
+  if (end.exclusive) return addDays(start, -1)
+  return end.day ? start : endOfMonth(start)
+}
+
+function resolveCalendar({ unit, offset }, today, weekStart) {
+  if (unit === 'day') {
+    const day = addDays(today, offset)
+    return { from: day, to: day }
+  }
+  let from
+  let to
+  if (unit === 'week') {
+    from = addDays(startOfWeek(today, weekStart), 7 * offset)
+    to = addDays(from, 6)
+  } else if (unit === 'month') {
+    from = addMonths(startOfMonth(today), offset)
+    to = endOfMonth(from)
+  } else {
+    from = `${Number(today.slice(0, 4)) + offset}-01-01`
+    to = `${Number(today.slice(0, 4)) + offset}-12-31`
+  }
+  return { from, to: offset === 0 ? today : to }
+}
+
+// The stretch of time just before a resolved window: the month (or year) before a
+// whole calendar month (or year), otherwise as many days
+export function precedingWindow(window) {
+  const { from, to } = window
+  if (from === startOfMonth(from) && (to === endOfMonth(from) || window.unit === 'month')) {
+    const start = addMonths(from, -1)
+    return { from: start, to: endOfMonth(start), days: daysBetween(start, endOfMonth(start)) + 1 }
+  }
+  if (from.endsWith('-01-01') && (to === `${from.slice(0, 4)}-12-31` || window.unit === 'year')) {
+    const year = Number(from.slice(0, 4)) - 1
+    return { from: `${year}-01-01`, to: `${year}-12-31`, days: daysBetween(`${year}-01-01`, `${year}-12-31`) + 1 }
+  }
+  const days = daysBetween(from, to) + 1
+  return { from: addDays(from, -days), to: addDays(from, -1), days }
+}
+
+// What a parsed question's window is measured against: the window it names, or
+// the one just before it
+export const comparedRange = ({ timeWindow, compareWindow }) => compareWindow || precedingWindow(timeWindow)
+
+// first and latest are the first and last days in the data; today and weekStart
+// come from the user's settings. main is the resolved main window, needed for
+// 'previous'
+export function resolveTimeWindow(window, { first, latest, today, weekStart = 0 }, main = null) {
+  if (!window || window.kind === 'invalid') return null
+  let range
+  if (window.kind === 'rolling') {
+    range = { from: addDays(latest, -(window.days - 1)), to: latest }
+  } else if (window.kind === 'calendar') {
+    range = resolveCalendar(window, today, weekStart)
+  } else if (window.kind === 'previous') {
+    range = precedingWindow(main)
+  } else {
+    const from = window.from ? resolveEnd(window.from, 'from', latest) : first
+    let to = window.to ? resolveEnd(window.to, 'to', latest) : latest
+    // "from Dec 20 to Jan 5" without years runs into the next year
+    if (window.to && !window.to.year && to < from) to = resolveEnd({ ...window.to, year: Number(to.slice(0, 4)) + 1 }, 'to', latest)
+    range = { from, to }
+  }
+  return { ...window, ...range, days: Math.max(0, daysBetween(range.from, range.to) + 1) }
+}
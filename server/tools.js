@@ -0,0 +1,256 @@
+// Analytics functions the model can call while answering an Ask Altu question.
+// Each tool has a JSON schema for its arguments (sent to the model as-is) and
+// runs against the data the browser posted with the question. Arguments are
+// checked against the schema before running, and problems are returned to the
+// model as { error } so it can correct the call
+import { isCalendarDate, addDays } from '../src/utils/dates.js'
+import {
+  HEALTH_METRICS,
+  DAILY_METRICS,
+  filterRange,
+  computeAllAppTotals,
+  computeAppWeekdayWeekendStats,
+  computeTrendStats,
+  computeCategoryTotals,
+  dailyValues,
+  aggregateValues,
+  correlateValues,
+  compareWorkoutDays,
+} from './analytics.js'
+import { CHART_TYPES, CHART_GROUPS, buildChartData } from '../src/utils/chartSpec.js'
+import { chartFromArguments } from './charts.js'
+
+const DATE = { type: 'string', format: 'date', description: 'YYYY-MM-DD, inclusive' }
+
+const RANGE_PROPERTIES = {
+  from: { ...DATE, description: 'First day to include (YYYY-MM-DD). Defaults to the first day of data' },
+  to: { ...DATE, description: 'Last day to include (YYYY-MM-DD). Defaults to the last day of data' },
+}
+
+const METRIC_UNITS = { steps: 'steps', sleep: 'minutes', energy: 'kcal', workout: 'minutes', screenTime: 'minutes' }
+
+function findApp(name, screenTimeData) {
+  const app = [...new Set(screenTimeData.map(item => item.app))].find(a => a.toLowerCase() === name.toLowerCase())
+  if (!app) throw new Error(`No app called "${name}" in the data`)
+  return app
+}
+
+export const TOOLS = [
+  {
+    name: 'get_app_totals',
+    description: 'Total screen time per app over a date range, covering every app (not just the top 10). Use for most/least used app questions.',
+    parameters: {
+      type: 'object',
+      properties: {
+        ...RANGE_PROPERTIES,
+        category: { type: 'string', description: 'Only apps in this Screen Time category, e.g. "Social"' },
+        order: { type: 'string', enum: ['most', 'least'], description: 'Sort by most (default) or least used' },
+        limit: { type: 'integer', minimum: 1, maximum: 50, description: 'How many apps to return (default 10)' },
+      },
+      additionalProperties: false,
+    },
+    run({ from, to, category, order = 'most', limit = 10 }, { screenTimeData }) {
+      const records = filterRange(screenTimeData, { from, to }).filter(item => !category || item.category === category)
+      const apps = computeAllAppTotals(records)
+      return {
+        apps: (order === 'least' ? [...apps].reverse() : apps).slice(0, limit),
+        appCount: apps.length,
+        unit: 'minutes',
+      }
+    },
+  },
+  {
+    name: 'get_category_totals',
+    description: 'Total screen time per Screen Time category over a date range, largest first.',
+    parameters: {
+      type: 'object',
+      properties: { ...RANGE_PROPERTIES },
+      additionalProperties: false,
+    },
+    run({ from, to }, { screenTimeData }) {
+      return { categories: computeCategoryTotals(filterRange(screenTimeData, { from, to })), unit: 'minutes' }
+    },
+  },
+  {
+    name: 'get_app_weekday_weekend',
+    description: 'Weekday against weekend usage of one app: days used, total and average minutes per day for each.',
+    parameters: {
+      type: 'object',
+      properties: {
+        app: { type: 'string', description: 'App name as it appears in the data, e.g. "Instagram"' },
+        ...RANGE_PROPERTIES,
+      },
+      required: ['app'],
+      additionalProperties: false,
+    },
+    run({ app, from, to }, { screenTimeData }) {
+      const { appName, weekday, weekend } = computeAppWeekdayWeekendStats(
+        findApp(app, screenTimeData),
+        filterRange(screenTimeData, { from, to })
+      )
+      const summary = ({ days, totalMinutes, avgMinutes }) => ({ days, totalMinutes, avgMinutes })
+      return { app: appName, weekday: summary(weekday), weekend: summary(weekend) }
+    },
+  },
+  {
+    name: 'get_metric_trend',
+    description: 'Average of a health metric over the most recent N days of data against the N days before them.',
+    parameters: {
+      type: 'object',
+      properties: {
+        metric: { type: 'string', enum: HEALTH_METRICS },
+        days: { type: 'integer', minimum: 2, maximum: 365, description: 'Window length in days (default 30)' },
+      },
+      required: ['metric'],
+      additionalProperties: false,
+    },
+    run({ metric, days = 30 }, { healthData }) {
+      const stats = computeTrendStats(healthData, metric, days)
+      if (!stats) return { error: `Not enough data: a ${days}-day trend needs more than ${days} days` }
+      const { dailyValues: _values, ...trend } = stats
+      return { metric, unit: METRIC_UNITS[metric], ...trend }
+    },
+  },
+  {
+    name: 'aggregate_metric',
+    description: 'Total, daily average, lowest and highest day of a metric over a date range. For workout, also the number of days with a workout. For screen time, optionally one app or category.',
+    parameters: {
+      type: 'object',
+      properties: {
+        metric: { type: 'string', enum: DAILY_METRICS },
+        ...RANGE_PROPERTIES,
+        app: { type: 'string', description: 'screenTime only: one app' },
+        category: { type: 'string', description: 'screenTime only: one Screen Time category' },
+      },
+      required: ['metric'],
+      additionalProperties: false,
+    },
+    run({ metric, from, to, app, category }, data) {
+      if ((app || category) && metric !== 'screenTime') throw new Error('app and category only apply to screenTime')
+      const filters = { app: app && findApp(app, data.screenTimeData), category }
+      const values = filterRange(dailyValues(metric, data, filters), { from, to })
+      return {
+        metric,
+        unit: METRIC_UNITS[metric],
+        ...aggregateValues(values),
+        ...(metric === 'workout' && { workoutDays: values.filter(d => d.value > 0).length }),
+      }
+    },
+  },
+  {
+    name: 'correlate_metrics',
+    description: 'Pearson correlation between two daily metrics over the days both were recorded, e.g. screen time and sleep. Use lagDays for effects a day or more later, e.g. workouts against the next night\'s sleep.',
+    parameters: {
+      type: 'object',
+      properties: {
+        first: { type: 'string', enum: DAILY_METRICS },
+        second: { type: 'string', enum: DAILY_METRICS },
+        ...RANGE_PROPERTIES,
+        lagDays: { type: 'integer', minimum: 0, maximum: 7, description: 'Pair each day of first with second this many days later (default 0, the same day)' },
+      },
+      required: ['first', 'second'],
+      additionalProperties: false,
+    },
+    run({ first, second, from, to, lagDays = 0 }, data) {
+      const series = (metric) => filterRange(dailyValues(metric, data), { from, to })
+      // Shifting the second series back lines each day up with the one lagDays later
+      const lagged = series(second).map(d => ({ date: addDays(d.date, -lagDays), value: d.value }))
+      return { first, second, lagDays, ...correlateValues(series(first), lagged) }
+    },
+  },
+  {
+    name: 'compare_workout_days',
+    description: 'Average of a health metric on days with a workout against days without one, e.g. sleep after exercise.',
+    parameters: {
+      type: 'object',
+      properties: {
+        metric: { type: 'string', enum: HEALTH_METRICS.filter(metric => metric !== 'workout') },
+        ...RANGE_PROPERTIES,
+      },
+      required: ['metric'],
+      additionalProperties: false,
+    },
+    run({ metric, from, to }, { healthData }) {
+      return { unit: METRIC_UNITS[metric], ...compareWorkoutDays(filterRange(healthData, { from, to }), metric) }
+    },
+  },
+  {
+    name: 'show_chart',
+    description: 'Shows a chart next to the answer. Call it when the user asks to see, show, plot or chart something, or when a chart says it better than numbers. Returns how many points or bars the chart has.',
+    parameters: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: 'Short chart title, e.g. "Sleep on workout vs rest days"' },
+        type: { type: 'string', enum: CHART_TYPES, description: 'line (default) or bar; only groupBy "day" can be a line' },
+        groupBy: {
+          type: 'string',
+          enum: CHART_GROUPS,
+          description: 'day: a point per day (default); workout / weekday-weekend: the daily average on each kind of day; app / category: total screen time per app or category',
+        },
+        metric: { type: 'string', enum: DAILY_METRICS },
+        second: { type: 'string', enum: DAILY_METRICS, description: 'A second series drawn with the first' },
+        app: { type: 'string', description: 'screenTime only: one app' },
+        category: { type: 'string', description: 'screenTime only: one Screen Time category' },
+        ...RANGE_PROPERTIES,
+      },
+      required: ['title', 'metric'],
+      additionalProperties: false,
+    },
+    run(args, data) {
+      const chart = chartFromArguments({ ...args, app: args.app && findApp(args.app, data.screenTimeData) })
+      const { rows } = buildChartData(chart, data)
+      if (!rows.length) return { error: 'No data to chart in that range' }
+      return { chart, points: rows.length }
+    },
+  },
+]
+
+// A Map, so names the model makes up ("constructor") don't find anything
+const TOOLS_BY_NAME = new Map(TOOLS.map(tool => [tool.name, tool]))
+
+// The schemas as the model sees them
+export const TOOL_SCHEMAS = TOOLS.map(({ name, description, parameters }) => ({ name, description, parameters }))
+
+// Checks arguments against the subset of JSON schema the tools use
+function checkArguments({ properties, required = [] }, args) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) return 'arguments must be an object'
+  const missing = required.find(name => args[name] === undefined)
+  if (missing) return `${missing} is required`
+  for (const [name, value] of Object.entries(args)) {
+    if (!Object.hasOwn(properties, name)) return `unknown argument "${name}"`
+    const schema = properties[name]
+    if (schema.type === 'string' && typeof value !== 'string') return `${name} must be a string`
+    if (schema.type === 'integer' && !Number.isInteger(value)) return `${name} must be an integer`
+    if (schema.enum && !schema.enum.includes(value)) return `${name} must be one of ${schema.enum.join(', ')}`
+    if (schema.format === 'date' && !isCalendarDate(value)) return `${name} must be a date in YYYY-MM-DD format`
+    if (schema.minimum !== undefined && value < schema.minimum) return `${name} must be at least ${schema.minimum}`
+    if (schema.maximum !== undefined && value > schema.maximum) return `${name} must be at most ${schema.maximum}`
+  }
+  return null
+}
+
+// Runs a call the model asked for; `args` is the JSON string the model sent.
+// Returns the call record { name, arguments, result } or { name, arguments, error }
+export function runTool(name, args, data) {
+  const tool = TOOLS_BY_NAME.get(name)
+  let parsed
+  try {
+    parsed = JSON.parse(args || '{}')
+  } catch (error) {
+    return { name, arguments: args, error: 'arguments are not valid JSON' }
+  }
+  if (!tool) return { name, arguments: parsed, error: `Unknown tool "${name}"` }
+  const problem = checkArguments(tool.parameters, parsed)
+  if (problem) return { name, arguments: parsed, error: problem }
+  try {
+    const result = tool.run(parsed, data)
+    return result.error ? { name, arguments: parsed, error: result.error } : { name, arguments: parsed, result }
+  } catch (error) {
+    return { name, arguments: parsed, error: error.message }
+  }
+}
+
+// One line per call, kept with the answer so follow-up questions can reuse the numbers
+export function describeToolCall({ name, arguments: args, result, error }) {
+  return `${name}(${JSON.stringify(args)}) -> ${error ? `error: ${error}` : JSON.stringify(result)}`
+}
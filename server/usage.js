@@ -0,0 +1,121 @@
+// Token usage of every LLM request and the daily token budget. Calls are logged to a
+// JSON file (LLM_USAGE_FILE, default usage.json) so the day's total survives a
+// restart. The budget is LLM_DAILY_TOKEN_BUDGET unless it was changed in the Usage
+// panel; once the day's tokens reach it, new calls are refused with a 429 until
+// midnight (server time). Answers served from the cache are logged with no tokens
+import { readFileSync, writeFileSync } from 'fs'
+import { today, addDays } from '../src/utils/dates.js'
+import { HttpError } from './errors.js'
+import { readNumber } from './env.js'
+
+// Calls older than this are dropped from the log
+const KEEP_DAYS = 30
+// Days shown in the usage history and calls in the recent list
+const HISTORY_DAYS = 14
+const RECENT_CALLS = 20
+
+// USD per million [input, output] tokens, for estimating spend on OpenAI models.
+// Other models and providers are shown in tokens only
+const PRICES = {
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-4.1': [2, 8],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-4.1-nano': [0.1, 0.4],
+}
+
+let log = null
+
+const usageFile = () => process.env.LLM_USAGE_FILE || 'usage.json'
+
+function load() {
+  if (log) return log
+  try {
+    log = JSON.parse(readFileSync(usageFile(), 'utf8'))
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Could not read ${usageFile()}, starting a new usage log:`, error.message)
+    log = { calls: [] }
+  }
+  return log
+}
+
+function save() {
+  const cutoff = addDays(today(), -KEEP_DAYS)
+  log.calls = log.calls.filter(call => call.date > cutoff)
+  try {
+    writeFileSync(usageFile(), JSON.stringify(log))
+  } catch (error) {
+    console.error(`Could not write ${usageFile()}:`, error.message)
+  }
+}
+
+function estimateCost({ provider, model, promptTokens, completionTokens }) {
+  const price = provider === 'openai' && PRICES[model]
+  return price ? (promptTokens * price[0] + completionTokens * price[1]) / 1e6 : null
+}
+
+function summarize(calls) {
+  const priced = calls.map(estimateCost).filter(cost => cost !== null)
+  const promptTokens = calls.reduce((sum, call) => sum + call.promptTokens, 0)
+  const completionTokens = calls.reduce((sum, call) => sum + call.completionTokens, 0)
+  return {
+    calls: calls.filter(call => !call.cached).length,
+    cachedCalls: calls.filter(call => call.cached).length,
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    // null when none of the calls has a known price
+    cost: priced.length ? priced.reduce((sum, cost) => sum + cost, 0) : null,
+  }
+}
+
+const tokensOn = (date) => load().calls
+  .filter(call => call.date === date)
+  .reduce((sum, call) => sum + call.promptTokens + call.completionTokens, 0)
+
+// The day's token limit, or null for none
+export function getDailyTokenBudget() {
+  const { dailyTokenBudget } = load()
+  if (dailyTokenBudget !== undefined) return dailyTokenBudget
+  return readNumber('LLM_DAILY_TOKEN_BUDGET', 0) || null
+}
+
+// null removes the limit; the setting is kept in the usage file
+export function setDailyTokenBudget(tokens) {
+  load().dailyTokenBudget = tokens
+  save()
+}
+
+// Throws a 429 once today's calls have used the budget
+export function checkBudget() {
+  const budget = getDailyTokenBudget()
+  if (budget === null) return
+  const used = tokensOn(today())
+  if (used >= budget) {
+    throw new HttpError(429, `Today's LLM budget of ${budget.toLocaleString('en-US')} tokens is used up (${used.toLocaleString('en-US')} used). It resets at midnight, or raise it in the Usage panel.`)
+  }
+}
+
+export function recordUsage({ site, provider, model, promptTokens = 0, completionTokens = 0, cached = false }) {
+  const date = today()
+  load().calls.push({ at: new Date().toISOString(), date, site, provider, model, promptTokens, completionTokens, cached })
+  save()
+}
+
+// Today's totals against the budget, the last two weeks by day and the latest calls
+export function getUsage() {
+  const date = today()
+  const { calls } = load()
+  const budget = getDailyTokenBudget()
+  const days = Array.from({ length: HISTORY_DAYS }, (_, i) => addDays(date, i - HISTORY_DAYS + 1))
+  return {
+    date,
+    budget: {
+      dailyTokens: budget,
+      remaining: budget === null ? null : Math.max(0, budget - tokensOn(date)),
+    },
+    today: summarize(calls.filter(call => call.date === date)),
+    days: days.map(day => ({ date: day, ...summarize(calls.filter(call => call.date === day)) })),
+    recent: calls.slice(-RECENT_CALLS).reverse().map(call => ({ ...call, cost: estimateCost(call) })),
+  }
+}
@@ -0,0 +1,28 @@
+// LLM usage for the Usage panel:
+//
+//   GET /api/usage          today's tokens, calls and estimated spend against the
+//                           budget, the last two weeks by day and the latest calls
+//   PUT /api/usage/budget   { dailyTokens: 50000 } sets the daily token budget,
+//                           { dailyTokens: null } removes it
+import express from 'express'
+import { HttpError } from './errors.js'
+import { getUsage, setDailyTokenBudget } from './usage.js'
+
+export function createUsageApi() {
+  const router = express.Router()
+
+  router.get('/usage', (req, res) => {
+    res.json(getUsage())
+  })
+
+  router.put('/usage/budget', (req, res) => {
+    const { dailyTokens } = req.body || {}
+    if (dailyTokens !== null && !(Number.isInteger(dailyTokens) && dailyTokens > 0)) {
+      throw new HttpError(400, 'dailyTokens must be a whole number of tokens above 0, or null for no limit')
+    }
+    setDailyTokenBudget(dailyTokens)
+    res.json(getUsage())
+  })
+
+  return router
+}
@@ -0,0 +1,292 @@
+// Checks an answer against the data before it reaches the user. Numbers (with their
+// units), app names and dates are pulled out of the reply and traced back to the
+// figures worked out for the question - the computed insights, chart data, data
+// summaries over the question's dates and tool results - or to the raw records.
+// The rest of the prompt (instructions, calendar) doesn't count. verifyAnswer returns
+//
+//   { checked: 12, mismatches: [{ type: 'number' | 'app' | 'date', text, message }] }
+//
+// Rounding is allowed only as far as the answer shows it: "7.5 hours" must be
+// within 3 minutes of a known figure, "8,200 steps" within 50 steps
+import { parseQuestion } from './queryParser.js'
+import { computeAllAppTotals, computeCategoryTotals, computeAppWeekdayWeekendStats } from './analytics.js'
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)'
+
+// 2025-10-05, Oct 5, October 5th, 2025, 5 October
+const DATE_PATTERN = new RegExp(
+  `\\b(\\d{4})-(\\d{2})-(\\d{2})\\b|\\b${MONTH_NAME}\\.? (\\d{1,2})(?:st|nd|rd|th)?\\b(?:,? (\\d{4})\\b)?|\\b(\\d{1,2})(?:st|nd|rd|th)? ${MONTH_NAME}\\b(?:,? (\\d{4})\\b)?`,
+  'gi'
+)
+
+// 7h 32m, 7 hours and 32 minutes
+const HOURS_MINUTES_PATTERN = /\b(\d+)\s*(?:h|hrs?|hours?),?\s*(?:and\s+)?(\d+)\s*(?:m|mins?|minutes?)\b/gi
+
+// 8,156 / 8156 / 7.5 / 8.2k, with an optional unit. Not parts of times (7:30),
+// ranges (5-10), versions or identifiers
+const NUMBER_PATTERN = /(?<![\w.,/]|\d:|\w-)(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(?!:\d)(k\b)?(?:\s*(%|percent\b|steps?\b|kcal\b|calories\b|cal\b|minutes?\b|mins?\b|m\b|hours?\b|hrs?\b|h\b|days?\b|nights?\b))?/gi
+
+const UNIT_KINDS = [
+  [/^(%|percent)$/, 'percent'],
+  [/^steps?$/, 'steps'],
+  [/^(kcal|calories|cal)$/, 'kcal'],
+  [/^(minutes?|mins?|m)$/, 'minutes'],
+  [/^(hours?|hrs?|h)$/, 'hours'],
+  [/^(days?|nights?)$/, 'days'],
+]
+
+// A rolling window ("the last 30 days") restates the question rather than the data
+const WINDOW_BEFORE = /\b(last|past|previous|over the|recent)\s*$/i
+
+// Sentences that say a day is missing may name days outside the data on purpose
+const NO_DATA = /\b(no|missing|without) (data|records?)\b|\bnot (recorded|tracked|logged)\b/i
+
+const SENTENCE_END = /[.!?\n]/
+
+// Sections of the prompts (see prompts.js) with figures worked out for the
+// question, and the ones without, which only mark where those end
+const FIGURE_SECTIONS = ['COMPUTED INSIGHTS', 'INSIGHTS COMPUTED EARLIER', 'CHART DATA', 'TIME WINDOW', 'Health Data', 'Screen Time Data', 'ANSWER COMPUTED FROM THE DATA']
+const OTHER_SECTIONS = ['CALENDAR', 'MANUALLY ENTERED DATA', 'QUESTION ANALYSIS', 'User question', 'CRITICAL INSTRUCTIONS', 'IMPORTANT', 'Reword this answer']
+const SECTION_START = new RegExp(`\\n+(?=(?:${[...FIGURE_SECTIONS, ...OTHER_SECTIONS].join('|')})\\b)`)
+
+// Blanks out the matches so their digits aren't read again as separate numbers
+const mask = (text, start, length) => text.slice(0, start) + ' '.repeat(length) + text.slice(start + length)
+
+function toISODate(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
+
+// Dates written in the text, each with the ISO dates it could mean; a date
+// without a year may fall in any year the data covers
+function findDates(text, years) {
+  const found = []
+  for (const match of text.matchAll(DATE_PATTERN)) {
+    const [whole, isoYear, isoMonth, isoDay, monthName, monthDay, monthYear, dayFirst, dayMonthName, dayYear] = match
+    let candidates
+    if (isoYear) {
+      candidates = [`${isoYear}-${isoMonth}-${isoDay}`]
+    } else {
+      const month = MONTHS.indexOf((monthName || dayMonthName).slice(0, 3).toLowerCase()) + 1
+      const day = Number(monthDay || dayFirst)
+      const year = monthYear || dayYear
+      candidates = (year ? [year] : years).map(y => toISODate(y, month, day))
+    }
+    found.push({ text: whole, index: match.index, candidates })
+  }
+  return found
+}
+
+// Numbers written in the text as { text, value, kind, tolerance, index }. Hours are
+// converted to minutes; kind is null when no unit follows. Also used to score
+// answers in the evaluation (see eval/scoring.js)
+export function findNumbers(text) {
+  const numbers = []
+  let rest = text
+  for (const date of findDates(text, [])) {
+    rest = mask(rest, date.index, date.text.length)
+  }
+  for (const match of rest.matchAll(HOURS_MINUTES_PATTERN)) {
+    numbers.push({ text: match[0], value: Number(match[1]) * 60 + Number(match[2]), kind: 'minutes', tolerance: 0.5, index: match.index })
+    rest = mask(rest, match.index, match[0].length)
+  }
+  for (const match of rest.matchAll(NUMBER_PATTERN)) {
+    const [whole, digits, fraction = '', thousands, unit] = match
+    let value = Number(digits.replace(/,/g, '') + fraction)
+    // Half of the last digit shown; round figures ("8,200") may be rounded to their last non-zero digit
+    let tolerance = fraction ? 0.5 * 10 ** -(fraction.length - 1) : 0.5
+    if (!fraction) {
+      const zeros = digits.replace(/,/g, '').match(/0*$/)[0].length
+      const rounding = Math.min(zeros, Math.floor(Math.log10(Math.max(value, 1))) - 1)
+      if (rounding > 0) tolerance = 0.5 * 10 ** rounding
+    }
+    if (thousands) {
+      value *= 1000
+      tolerance *= 1000
+    }
+    let kind = unit ? UNIT_KINDS.find(([pattern]) => pattern.test(unit.toLowerCase()))[1] : null
+    if (kind === 'hours') {
+      value *= 60
+      tolerance *= 60
+      kind = 'minutes'
+    }
+    numbers.push({ text: whole.trim(), value, kind, tolerance, index: match.index })
+  }
+  return numbers.sort((a, b) => a.index - b.index)
+}
+
+// Every number inside a tool result, however deeply nested
+function numbersIn(value) {
+  if (typeof value === 'number') return [value]
+  if (value && typeof value === 'object') return Object.values(value).flatMap(numbersIn)
+  return []
+}
+
+// Known figures by kind ('any' for figures without a unit), as absolute values
+function createPool() {
+  const pool = { any: [], percent: [], steps: [], kcal: [], minutes: [], days: [] }
+  return {
+    pool,
+    add(kind, ...values) {
+      values.forEach(value => {
+        if (Number.isFinite(value)) pool[kind || 'any'].push(Math.abs(value))
+      })
+    },
+  }
+}
+
+function matches(pool, { value, kind, tolerance }) {
+  const candidates = kind ? [...pool[kind], ...pool.any] : Object.values(pool).flat()
+  return candidates.some(known => Math.abs(known - value) <= tolerance + 1e-9)
+}
+
+// The sections of the prompt with figures for the question. Its own earlier
+// answers and the user's messages don't count
+function contextText(messages) {
+  return messages
+    .filter(message => message.role !== 'assistant' && typeof message.content === 'string')
+    .flatMap(message => message.content.split(SECTION_START))
+    .filter(section => FIGURE_SECTIONS.some(name => section.startsWith(name)))
+    .join('\n\n')
+}
+
+// askedScreenTime is the screen time on the days the question asks about, which
+// app and category totals are taken over
+function knownFigures(text, toolCalls, healthData, screenTimeData, askedScreenTime) {
+  const { pool, add } = createPool()
+  findNumbers(text).forEach(({ value, kind }) => add(kind, value))
+  toolCalls.forEach(call => add(null, ...numbersIn(call.result)))
+
+  healthData.forEach(({ steps, sleep, energy, workout }) => {
+    add('steps', steps)
+    add('minutes', sleep, workout)
+    add('kcal', energy)
+  })
+  const dailyTotals = {}
+  screenTimeData.forEach(({ date, minutes }) => {
+    dailyTotals[date] = (dailyTotals[date] || 0) + minutes
+  })
+  add('minutes', ...Object.values(dailyTotals))
+  add('minutes', ...computeAllAppTotals(askedScreenTime).map(a => a.minutes))
+  add('minutes', ...computeCategoryTotals(askedScreenTime).map(c => c.minutes))
+  return pool
+}
+
+// An app's own figures: its totals and daily minutes, its weekday/weekend split,
+// the prompt lines and blocks that name it and the tool results about it
+function appFigures(app, text, toolCalls, screenTimeData) {
+  const { pool, add } = createPool()
+  const records = screenTimeData.filter(item => item.app === app)
+  add('minutes', ...records.map(item => item.minutes), records.reduce((sum, item) => sum + item.minutes, 0))
+  const { weekday, weekend } = computeAppWeekdayWeekendStats(app, screenTimeData)
+  add('minutes', weekday.avgMinutes, weekday.totalMinutes, weekend.avgMinutes, weekend.totalMinutes)
+
+  const named = new RegExp(`(^|[^\\w])${app.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w])`)
+  const segments = [
+    ...text.split(/[,;\n]/).filter(segment => named.test(segment)),
+    ...text.split(/\n\s*\n/).filter(block => named.test(block.trim().split('\n')[0])),
+  ]
+  segments.forEach(segment => findNumbers(segment).forEach(({ value, kind }) => add(kind, value)))
+
+  const about = (value) => {
+    if (Array.isArray(value)) return value.flatMap(about)
+    if (value && typeof value === 'object') {
+      return value.app === app ? numbersIn(value) : Object.values(value).flatMap(about)
+    }
+    return []
+  }
+  toolCalls.forEach(call => {
+    add(null, ...(call.arguments?.app?.toLowerCase() === app.toLowerCase() ? numbersIn(call.result) : about(call.result)))
+  })
+  return pool
+}
+
+// The app named in an EXACT ANSWER block, which the answer has to mention
+function exactAnswerApps(text) {
+  return [...text.matchAll(/^(MOST|LEAST) USED APP \(EXACT ANSWER\):\n- App: (.+)$/gm)]
+    .map(([, which, app]) => ({ which: which.toLowerCase(), app: app.trim() }))
+}
+
+function sentenceAround(text, index) {
+  let start = index
+  while (start > 0 && !SENTENCE_END.test(text[start - 1])) start--
+  let end = index
+  while (end < text.length && !SENTENCE_END.test(text[end])) end++
+  return text.slice(start, end)
+}
+
+// request is what was sent to the model ({ messages }), toolCalls the tools it ran
+// and question/history what the user asked, whose own numbers and dates are not
+// checked
+export function verifyAnswer(answer, { request, toolCalls = [], question = '', history = [], healthData, screenTimeData }) {
+  const mismatches = []
+  const flag = (type, text, message) => {
+    if (!mismatches.some(m => m.message === message)) mismatches.push({ type, text, message })
+  }
+  let checked = 0
+
+  const context = contextText(request.messages)
+  const asked = [question, ...history.map(turn => turn.question)].join('\n')
+  const askedNumbers = findNumbers(asked).map(n => n.value)
+
+  // Dates must be days the data covers, or the ends of the time windows the
+  // question was read as asking about ("there is no data for Dec 1 to Dec 31")
+  const { timeWindow, compareWindow } = request.query || {}
+  const windows = [timeWindow, compareWindow].filter(window => window?.from)
+  const windowEnds = windows.flatMap(window => [window.from, window.to])
+  const dates = new Set([...healthData, ...screenTimeData].map(record => record.date))
+  const sortedDates = [...dates].sort()
+  const years = [...new Set(sortedDates.map(date => date.slice(0, 4)))]
+  findDates(answer, years).forEach(({ text, index, candidates }) => {
+    if (asked.toLowerCase().includes(text.toLowerCase()) || NO_DATA.test(sentenceAround(answer, index))) return
+    checked++
+    if (candidates.some(date => dates.has(date) || windowEnds.includes(date))) return
+    const [first, last] = [sortedDates[0], sortedDates[sortedDates.length - 1]]
+    flag('date', text, candidates.every(date => date < first || date > last)
+      ? `${text} is outside the data, which runs from ${first} to ${last}`
+      : `There is no data recorded on ${text}`)
+  })
+
+  // Numbers must match a figure the model was given or one in the records
+  const askedScreenTime = windows.length
+    ? screenTimeData.filter(({ date }) => windows.some(window => date >= window.from && date <= window.to))
+    : screenTimeData
+  const pool = knownFigures(context, toolCalls, healthData, screenTimeData, askedScreenTime)
+  const numbers = findNumbers(answer).filter(number => {
+    if (askedNumbers.includes(number.value)) return false
+    if ((!number.kind || number.kind === 'days') && WINDOW_BEFORE.test(answer.slice(0, number.index))) return false
+    // Small bare numbers are counts and list positions ("top 3", "1.")
+    return number.kind || number.value >= 10
+  })
+  numbers.forEach(number => {
+    checked++
+    if (!matches(pool, number)) flag('number', number.text, `"${number.text}" does not match any figure in the data`)
+  })
+
+  // Apps must be the ones the exact answers name, and minutes given for an app must be that app's
+  const apps = [...new Set(screenTimeData.map(item => item.app))]
+  const mentioned = parseQuestion(answer, { apps }).apps
+  exactAnswerApps(context).forEach(({ which, app }) => {
+    checked++
+    if (!mentioned.includes(app)) flag('app', app, `The ${which} used app is ${app}, but the answer does not name it`)
+  })
+  mentioned.forEach(app => {
+    const escaped = app.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    for (const match of answer.matchAll(new RegExp(`(^|[^\\w])${escaped}(?![\\w])`, 'g'))) {
+      // The first minutes figure after the name, in the same clause and before any other app
+      const after = answer.slice(match.index + match[0].length).split(/[.;\n]/)[0]
+      const nextApp = Math.min(...mentioned.filter(other => other !== app).map(other => {
+        const at = after.indexOf(other)
+        return at === -1 ? Infinity : at
+      }))
+      const number = findNumbers(after.slice(0, nextApp)).find(n => n.kind === 'minutes')
+      if (!number || askedNumbers.includes(number.value)) continue
+      checked++
+      if (!matches(appFigures(app, context, toolCalls, askedScreenTime), number)) {
+        flag('app', `${app} ${number.text}`, `"${number.text}" is not one of ${app}'s figures`)
+      }
+    }
+  })
+
+  return { checked, mismatches }
+}
@@ -1,37 +1,221 @@
-import { useState } from 'react'
+import { useState, useEffect, useMemo } from 'react'
 import Dashboard from './pages/Dashboard'
 import AskAltu from './pages/AskAltu'
+import ProfilesModal from './components/ProfilesModal'
+import SettingsModal from './components/SettingsModal'
+import UsageModal from './components/UsageModal'
+import { computeMetrics, mergeHealthData, mergeScreenTimeData } from './utils/data'
+import {
+  loadStoredHealthData,
+  loadStoredScreenTimeData,
+  appendHealthRecords,
+  appendScreenTimeRecords,
+  replaceHealthRecords,
+  replaceScreenTimeRecords,
+  replaceScreenTimeDay,
+  restoreBackup,
+  deleteProfileData,
+} from './utils/storage'
+import { getSettings, updateSettings } from './utils/settings'
+import { getProfiles, saveProfiles, clearThreads, clearPinnedCharts } from './utils/profiles'
 import './App.css'
 
 function App() {
   const [page, setPage] = useState('dashboard')
+  const [healthData, setHealthData] = useState([])
+  const [screenTimeData, setScreenTimeData] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [loadError, setLoadError] = useState('')
+  const [gapMode, setGapMode] = useState(() => getSettings().gapMode)
+  const [profileState, setProfileState] = useState(getProfiles)
+  const [profilesOpen, setProfilesOpen] = useState(false)
+  const [settingsOpen, setSettingsOpen] = useState(false)
+  const [usageOpen, setUsageOpen] = useState(false)
+
+  const profileId = profileState.activeId
+  const profile = profileState.profiles.find(p => p.id === profileId)
+
+  // Data is loaded from local storage for the active profile and shared so imports
+  // show up on every page. Switching profiles reloads it
+  useEffect(() => {
+    let cancelled = false
+    async function fetchData() {
+      setLoading(true)
+      const [health, screenTime] = await Promise.allSettled([
+        loadStoredHealthData(profileId),
+        loadStoredScreenTimeData(profileId),
+      ])
+      // A quicker switch to another profile wins
+      if (cancelled) return
+      const errors = []
+      setHealthData(health.status === 'fulfilled' ? health.value : [])
+      if (health.status === 'rejected') errors.push(health.reason.message)
+      setScreenTimeData(screenTime.status === 'fulfilled' ? screenTime.value : [])
+      if (screenTime.status === 'rejected') errors.push(screenTime.reason.message)
+      setLoadError(errors.join('. '))
+      setLoading(false)
+    }
+    fetchData()
+    return () => { cancelled = true }
+  }, [profileId])
+
+  const updateProfiles = (state) => setProfileState(saveProfiles(state))
+
+  const handleSwitchProfile = (id) => updateProfiles({ ...profileState, activeId: id })
+
+  const handleAddProfile = (newProfile) => {
+    updateProfiles({ activeId: newProfile.id, profiles: [...profileState.profiles, newProfile] })
+  }
+
+  const handleUpdateProfile = (id, changes) => {
+    updateProfiles({
+      ...profileState,
+      profiles: profileState.profiles.map(p => (p.id === id ? { ...p, ...changes } : p)),
+    })
+  }
+
+  const handleDeleteProfile = async (id) => {
+    const profiles = profileState.profiles.filter(p => p.id !== id)
+    updateProfiles({
+      activeId: id === profileId ? profiles[0].id : profileId,
+      profiles,
+    })
+    clearThreads(id)
+    clearPinnedCharts(id)
+    await deleteProfileData(id)
+  }
+
+  // Merges append to the store; replaces overwrite it
+  const handleImportHealth = (records, mode) => {
+    if (mode === 'merge') {
+      const merged = mergeHealthData(healthData, records, getSettings().sourcePriority)
+      // Only days where the imported record won over a higher priority source are stored
+      const imported = new Set(records)
+      setHealthData(merged)
+      appendHealthRecords(profileId, merged.filter(d => imported.has(d)))
+        .catch(error => console.error('Error saving health data:', error))
+    } else {
+      setHealthData(records)
+      replaceHealthRecords(profileId, records).catch(error => console.error('Error saving health data:', error))
+    }
+  }
+
+  const handleImportScreenTime = (records, mode) => {
+    if (mode === 'merge') {
+      const merged = mergeScreenTimeData(screenTimeData, records)
+      // Manual entries are kept, so only the imported entries that won are stored
+      const imported = new Set(records)
+      setScreenTimeData(merged)
+      appendScreenTimeRecords(profileId, merged.filter(item => imported.has(item)))
+        .catch(error => console.error('Error saving screen time data:', error))
+    } else {
+      setScreenTimeData(records)
+      replaceScreenTimeRecords(profileId, records).catch(error => console.error('Error saving screen time data:', error))
+    }
+  }
+
+  // Manual log entries replace the day outright - the form already shows the current values
+  const handleSaveDay = async (healthRecord, screenTimeEntries) => {
+    const { date } = healthRecord
+    await Promise.all([
+      appendHealthRecords(profileId, [healthRecord]),
+      replaceScreenTimeDay(profileId, date, screenTimeEntries),
+    ])
+    setHealthData(data => [...data.filter(d => d.date !== date), healthRecord].sort((a, b) => a.date.localeCompare(b.date)))
+    setScreenTimeData(data => [...data.filter(item => item.date !== date), ...screenTimeEntries].sort((a, b) => a.date.localeCompare(b.date)))
+  }
+
+  const handleRestoreBackup = async (backup) => {
+    await restoreBackup(profileId, backup)
+    setHealthData(backup.health)
+    setScreenTimeData(backup.screenTime)
+  }
+
+  const handleGapModeChange = (mode) => {
+    setGapMode(mode)
+    updateSettings({ gapMode: mode })
+  }
+
+  const goals = profile.goals
+  const metrics = useMemo(
+    () => (loading ? null : computeMetrics(healthData, screenTimeData, { gapMode, goals })),
+    [loading, healthData, screenTimeData, gapMode, goals]
+  )
 
   return (
     <div className="app">
       <nav className="nav">
         <div className="nav-container">
           <div className="nav-buttons">
-            <button 
+            <button
               className={page === 'dashboard' ? 'active' : ''}
               onClick={() => setPage('dashboard')}
             >
               Dashboard
             </button>
-            <button 
+            <button
               className={page === 'ask' ? 'active' : ''}
               onClick={() => setPage('ask')}
             >
               Ask Altu
             </button>
           </div>
+          <div className="profile-switcher">
+            <label htmlFor="profile-select">Profile:</label>
+            <select
+              id="profile-select"
+              value={profileId}
+              onChange={(e) => handleSwitchProfile(e.target.value)}
+            >
+              {profileState.profiles.map(p => (
+                <option key={p.id} value={p.id}>{p.name || 'Unnamed'}</option>
+              ))}
+            </select>
+            <button onClick={() => setProfilesOpen(true)}>Manage</button>
+            <button onClick={() => setSettingsOpen(true)}>Settings</button>
+            <button onClick={() => setUsageOpen(true)}>Usage</button>
+          </div>
         </div>
       </nav>
+      <ProfilesModal
+        isOpen={profilesOpen}
+        onClose={() => setProfilesOpen(false)}
+        profiles={profileState.profiles}
+        activeId={profileId}
+        onAddProfile={handleAddProfile}
+        onUpdateProfile={handleUpdateProfile}
+        onDeleteProfile={handleDeleteProfile}
+      />
+      <SettingsModal isOpen={settingsOpen} onClose={() => setSettingsOpen(false)} />
+      <UsageModal isOpen={usageOpen} onClose={() => setUsageOpen(false)} />
       <main className="main">
-        {page === 'dashboard' ? <Dashboard /> : <AskAltu />}
+        {page === 'dashboard' ? (
+          <Dashboard
+            profileId={profileId}
+            healthData={healthData}
+            screenTimeData={screenTimeData}
+            metrics={metrics}
+            loading={loading}
+            loadError={loadError}
+            gapMode={gapMode}
+            onGapModeChange={handleGapModeChange}
+            onImportHealth={handleImportHealth}
+            onImportScreenTime={handleImportScreenTime}
+            onRestoreBackup={handleRestoreBackup}
+            onSaveDay={handleSaveDay}
+          />
+        ) : (
+          <AskAltu
+            key={profileId}
+            profileId={profileId}
+            healthData={healthData}
+            screenTimeData={screenTimeData}
+            metrics={metrics}
+          />
+        )}
       </main>
     </div>
   )
 }
 
 export default App
-
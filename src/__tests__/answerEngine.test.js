@@ -0,0 +1,32 @@
+// Rule answers for the fixture data the evaluation uses (server/eval/fixture)
+import { answerFromRules } from '../../server/answerEngine.js'
+import { understandQuestion } from '../../server/prompts.js'
+import { readDataFile } from '../utils/schema.js'
+import healthFile from '../../server/eval/fixture/health_daily.json'
+import screenTimeFile from '../../server/eval/fixture/screentime.json'
+
+const data = { healthData: readDataFile(healthFile, 'health'), screenTimeData: readDataFile(screenTimeFile, 'screenTime') }
+
+const answer = (question) => {
+  const query = understandQuestion(question, { ...data, settings: { timeZone: 'UTC', weekStart: 1 } })
+  return answerFromRules(question, query, data)
+}
+
+describe('metric-trend', () => {
+  test('compares the averages of two windows', () => {
+    expect(answer('How did my workouts change last two weeks vs the two before?')).toMatchObject({ rule: 'metric-trend' })
+  })
+
+  test('leaves counts of days over two windows to the model', () => {
+    expect(answer('How many days did I work out last two weeks vs the two before?')).toBeNull()
+  })
+})
+
+describe('metric-total', () => {
+  test('counts the days with a workout', () => {
+    expect(answer('How many days did I work out in the last 30 days?')).toMatchObject({
+      rule: 'metric-total',
+      answer: expect.stringMatching(/^You worked out on 14 of 30 days/),
+    })
+  })
+})
@@ -0,0 +1,44 @@
+// Dashboard metrics for the fixture data the evaluation uses (server/eval/fixture)
+import { computeMetrics } from '../utils/data.js'
+import { readDataFile } from '../utils/schema.js'
+import healthFile from '../../server/eval/fixture/health_daily.json'
+import screenTimeFile from '../../server/eval/fixture/screentime.json'
+
+const healthData = readDataFile(healthFile, 'health')
+const screenTimeData = readDataFile(screenTimeFile, 'screenTime')
+
+describe('computeMetrics', () => {
+  describe('a profile with health data only', () => {
+    const metrics = computeMetrics(healthData, [])
+    const withScreenTime = computeMetrics(healthData, screenTimeData)
+
+    test('has the same health figures and streaks', () => {
+      expect(metrics.health).toEqual(withScreenTime.health)
+      expect(metrics.health.avgSteps).toBeGreaterThan(0)
+      expect(metrics.streaks).toEqual(withScreenTime.streaks)
+    })
+
+    test('has empty screen time figures', () => {
+      expect(metrics.screenTime).toEqual({ topApps: [], topCategories: [], dailyTotals: [], avgDaily: 0 })
+    })
+
+    test('scores wellness on the health parts alone', () => {
+      const { stepsScore, sleepScore, workoutScore } = metrics.wellness
+      expect(metrics.wellness.screenTimeScore).toBe(0)
+      expect(metrics.wellness.score).toBe(Math.round((stepsScore * 0.30 + sleepScore * 0.30 + workoutScore * 0.25) / 0.85))
+      expect(metrics.wellness.weeklyScore).toBeGreaterThan(0)
+    })
+  })
+
+  describe('a gap in the middle of a streak', () => {
+    // Three active days, a day with no record, then three more
+    const day = (date) => ({ date, steps: 9000, sleep: 450, energy: 500, workout: 30 })
+    const gapped = ['2025-02-01', '2025-02-02', '2025-02-03', '2025-02-05', '2025-02-06', '2025-02-07'].map(day)
+
+    test.each(['gaps', 'zero', 'interpolate'])('breaks the streaks in %s mode', (gapMode) => {
+      const { streaks, health } = computeMetrics(gapped, [], { gapMode })
+      expect(streaks).toEqual({ current: { workout: 3, sleep: 3, steps: 3 }, best: { workout: 3, sleep: 3, steps: 3 } })
+      expect(health.workoutDays).toBe(6)
+    })
+  })
+})
@@ -0,0 +1,82 @@
+// The prompts built for the fixture data the evaluation uses (server/eval/fixture)
+import { buildAskRequest, buildChartRequest } from '../../server/prompts.js'
+import { verifyAnswer } from '../../server/verification.js'
+import { normalizeChartSpec } from '../utils/chartSpec.js'
+import { readDataFile } from '../utils/schema.js'
+import { computeMetrics } from '../utils/data.js'
+import healthFile from '../../server/eval/fixture/health_daily.json'
+import screenTimeFile from '../../server/eval/fixture/screentime.json'
+
+const healthData = readDataFile(healthFile, 'health')
+const screenTimeData = readDataFile(screenTimeFile, 'screenTime')
+const data = { healthData, screenTimeData, metrics: computeMetrics(healthData, screenTimeData), settings: { timeZone: 'UTC', weekStart: 1 } }
+
+const promptFor = (request) => request.messages[request.messages.length - 1].content
+
+describe('buildAskRequest', () => {
+  test('labels the summaries with all the data when the question names no dates', () => {
+    const prompt = promptFor(buildAskRequest({ ...data, question: 'How am I doing?' }))
+    expect(prompt).toContain('Health Data (all the data):')
+    expect(prompt).toContain(`- Average steps per day: ${data.metrics.health.avgSteps}`)
+  })
+
+  test('scopes the summaries to the dates the question asks about', () => {
+    const prompt = promptFor(buildAskRequest({ ...data, question: 'How did I do between Feb 1 and Feb 7?' }))
+    const week = healthData.filter(d => d.date >= '2025-02-01' && d.date <= '2025-02-07')
+    const avgSteps = Math.round(week.reduce((sum, d) => sum + d.steps, 0) / week.length)
+    expect(prompt).toContain('Health Data (2025-02-01 to 2025-02-07, the dates the question asks about):')
+    expect(prompt).toContain(`- Average steps per day: ${avgSteps}`)
+    expect(prompt).toContain(`- Days with workouts: ${week.filter(d => d.workout > 0).length} out of 7`)
+    expect(prompt).toContain('Screen Time Data (2025-02-01 to 2025-02-07, the dates the question asks about):')
+    expect(prompt).not.toContain('last 90 days')
+  })
+})
+
+describe('verifyAnswer', () => {
+  const question = 'How did I do between Feb 1 and Feb 7?'
+  const request = buildAskRequest({ ...data, question })
+  const verify = (answer) => verifyAnswer(answer, { request, question, ...data }).mismatches.map(m => m.text)
+
+  test("accepts the summaries over the question's dates", () => {
+    const { avgSteps } = promptFor(request).match(/Average steps per day: (?<avgSteps>\d+)/).groups
+    expect(verify(`You averaged ${avgSteps} steps a day.`)).toEqual([])
+  })
+
+  test('rejects figures from the instructions', () => {
+    expect(verify('Your data is 100% complete.')).toEqual(['100%'])
+  })
+
+  test('rejects app totals from outside the dates asked about', () => {
+    const slack = screenTimeData.filter(item => item.app === 'Slack').reduce((sum, item) => sum + item.minutes, 0)
+    expect(verify(`You used Slack for ${slack} minutes.`)).toContain(`${slack} minutes`)
+  })
+})
+
+describe('buildChartRequest', () => {
+  // The Social apps in the fixture's last week: Instagram 345 min, X 167 min
+  const chart = normalizeChartSpec({
+    title: 'Top Apps by Total Time (Social)',
+    groupBy: 'app',
+    series: [{ metric: 'screenTime', category: 'Social' }],
+    range: { from: '2025-02-24', to: '2025-03-02' },
+    limit: 8,
+  })
+  const question = 'Which app do I use the most?'
+  const request = buildChartRequest({ ...data, question, chart })
+  const prompt = promptFor(request)
+
+  test('describes the bars the chart shows', () => {
+    expect(prompt).toContain('- Dates: 2025-02-24 to 2025-03-02')
+    expect(prompt).toContain('- Bars (total minutes): Instagram 345, X 167')
+  })
+
+  test("computes the exact answer over the chart's category and dates", () => {
+    expect(prompt).toContain('MOST USED APP (EXACT ANSWER):\n- App: Instagram\n- Total minutes: 345 min')
+    expect(prompt).not.toContain('- App: Slack')
+  })
+
+  test("accepts an answer naming the chart's top app", () => {
+    const { mismatches } = verifyAnswer('Instagram is your most used app on this chart, with 345 minutes.', { request, question, ...data })
+    expect(mismatches).toEqual([])
+  })
+})
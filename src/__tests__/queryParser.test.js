@@ -0,0 +1,37 @@
+// Runs the phrasings in server/queryCorpus.json through the question parser. Each
+// case lists only the fields it pins down, so the parse only has to match those
+import { parseQuestion } from '../../server/queryParser.js'
+import corpus from '../../server/queryCorpus.json'
+
+describe('parseQuestion', () => {
+  test.each(corpus.cases.map(({ question, expect }) => [question, expect]))('%s', (question, expected) => {
+    expect(parseQuestion(question, { apps: corpus.apps })).toMatchObject(expected)
+  })
+})
+
+describe('parseQuestion with a calendar', () => {
+  const calendar = { first: '2025-09-02', latest: '2025-10-25', today: '2025-10-26', weekStart: 1 }
+  const parse = (question) => parseQuestion(question, { apps: corpus.apps, calendar })
+
+  test.each([
+    'Average steps since Feb 30',
+    'Average steps before Feb 30',
+    'Total steps between Oct 1 and Oct 45',
+    'Total steps in 2025-13-45',
+    'Average sleep in the last 0 days',
+    'Average sleep since Feb 29 2025',
+  ])('%s has no time window', (question) => {
+    const query = parse(question)
+    expect(query.timeWindow).toBeNull()
+    expect(query.unsure).toBe(true)
+    expect(query.clarification).toMatch(/not a range of days on the calendar/)
+  })
+
+  test.each([
+    ['Average sleep since Feb 29', { from: '2024-02-29', to: '2025-10-25' }],
+    ['Total steps between Oct 1 and Oct 10', { from: '2025-10-01', to: '2025-10-10', days: 10 }],
+    ['Average sleep in the last 2 weeks', { from: '2025-10-12', to: '2025-10-25', days: 14 }],
+  ])('%s resolves', (question, range) => {
+    expect(parse(question).timeWindow).toMatchObject(range)
+  })
+})
@@ -0,0 +1,31 @@
+// Suggested questions for the fixture data the evaluation uses (server/eval/fixture)
+import { chartQuestions } from '../utils/suggestions.js'
+import { normalizeChartSpec } from '../utils/chartSpec.js'
+import { readDataFile } from '../utils/schema.js'
+import healthFile from '../../server/eval/fixture/health_daily.json'
+import screenTimeFile from '../../server/eval/fixture/screentime.json'
+
+const data = { healthData: readDataFile(healthFile, 'health'), screenTimeData: readDataFile(screenTimeFile, 'screenTime') }
+
+describe('chartQuestions', () => {
+  const chart = normalizeChartSpec({ title: 'Steps Over Time', series: [{ metric: 'steps' }], range: { from: '2025-02-01', to: '2025-03-02' } })
+
+  test('asks about the chart', () => {
+    expect(chartQuestions(chart, data)).toEqual([
+      expect.stringMatching(/steps gone (up|down)/),
+      'What is my average steps per day on this chart?',
+      'Which day on this chart had the most steps?',
+    ])
+  })
+
+  test('leaves out the question just asked', () => {
+    const followUps = chartQuestions(chart, data, 'What is my average steps per day on this chart?')
+    expect(followUps).not.toContain('What is my average steps per day on this chart?')
+    expect(followUps).toContain('Which day on this chart had the most steps?')
+  })
+
+  test("follows a category's top apps with questions about that category", () => {
+    const topApps = normalizeChartSpec({ title: 'Top Apps', groupBy: 'app', series: [{ metric: 'screenTime', category: 'Social' }], limit: 8 })
+    expect(chartQuestions(topApps, data)).toContain('How does time using Instagram differ weekday vs. weekend?')
+  })
+})
@@ -0,0 +1,22 @@
+// Tool calls over the fixture data the evaluation uses (server/eval/fixture)
+import { runTool } from '../../server/tools.js'
+import { readDataFile } from '../utils/schema.js'
+import healthFile from '../../server/eval/fixture/health_daily.json'
+import screenTimeFile from '../../server/eval/fixture/screentime.json'
+
+const data = { healthData: readDataFile(healthFile, 'health'), screenTimeData: readDataFile(screenTimeFile, 'screenTime') }
+
+describe('runTool', () => {
+  test('runs a known tool', () => {
+    const { result } = runTool('aggregate_metric', '{"metric":"workout","from":"2025-02-01"}', data)
+    expect(result).toMatchObject({ metric: 'workout', days: 30, workoutDays: 14 })
+  })
+
+  test.each(['constructor', 'toString', '__proto__'])('returns an error for the made-up tool %s', (name) => {
+    expect(runTool(name, '{}', data)).toEqual({ name, arguments: {}, error: `Unknown tool "${name}"` })
+  })
+
+  test('returns an error for inherited argument names', () => {
+    expect(runTool('get_category_totals', '{"toString":1}', data).error).toBe('unknown argument "toString"')
+  })
+})
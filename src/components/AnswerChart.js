@@ -0,0 +1,58 @@
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts'
+import { buildChartData } from '../utils/chartSpec'
+
+// Draws a chart spec from an Ask Altu answer (see utils/chartSpec.js) against the
+// loaded data, styled like the Dashboard charts
+export default function AnswerChart({ spec, healthData, screenTimeData, height = 300 }) {
+  const { rows, series } = buildChartData(spec, { healthData, screenTimeData })
+  if (!rows.length) return <p className="answer-chart-empty">No data to chart for these dates.</p>
+
+  // Two series are usually different units, so each gets its own axis
+  const axisId = (i) => (i === 0 ? 'left' : 'right')
+  const yAxes = series.length > 1
+    ? [<YAxis key="left" yAxisId="left" />, <YAxis key="right" yAxisId="right" orientation="right" />]
+    : [<YAxis key="left" yAxisId="left" />]
+
+  let chart
+  if (spec.groupBy === 'app' || spec.groupBy === 'category') {
+    chart = (
+      <BarChart data={rows} layout="vertical" margin={{ top: 5, right: 30, bottom: 5, left: 5 }}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis type="number" />
+        <YAxis dataKey="label" type="category" width={120} />
+        <Tooltip />
+        <Bar dataKey="s0" fill={series[0].color} name={series[0].label} />
+      </BarChart>
+    )
+  } else if (spec.type === 'bar') {
+    chart = (
+      <BarChart data={rows}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="label" angle={spec.groupBy === 'day' ? -45 : 0} textAnchor={spec.groupBy === 'day' ? 'end' : 'middle'} height={spec.groupBy === 'day' ? 80 : 30} />
+        {yAxes}
+        <Tooltip />
+        <Legend />
+        {series.map((s, i) => <Bar key={s.key} yAxisId={axisId(i)} dataKey={s.key} fill={s.color} name={s.label} />)}
+      </BarChart>
+    )
+  } else {
+    chart = (
+      <LineChart data={rows}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="label" angle={-45} textAnchor="end" height={80} />
+        {yAxes}
+        <Tooltip />
+        <Legend />
+        {series.map((s, i) => (
+          <Line key={s.key} yAxisId={axisId(i)} type="monotone" dataKey={s.key} stroke={s.color} strokeWidth={2} name={s.label} connectNulls />
+        ))}
+      </LineChart>
+    )
+  }
+
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      {chart}
+    </ResponsiveContainer>
+  )
+}
@@ -1,37 +1,75 @@
-import { useState } from 'react'
+import { useState, useRef, useEffect, useMemo } from 'react'
 import { askChartQuestion } from '../utils/llm'
+import { chartQuestions } from '../utils/suggestions'
+import { describeChartRange } from '../utils/chartSpec'
 import './ChartQuestionModal.css'
 
-export default function ChartQuestionModal({ isOpen, onClose, chartTitle, chartContext, healthData, screenTimeData, metrics }) {
+// chart is the spec the chart is drawn from (see utils/chartSpec.js)
+export default function ChartQuestionModal({ isOpen, onClose, chart, healthData, screenTimeData, metrics }) {
   const [question, setQuestion] = useState('')
   const [answer, setAnswer] = useState('')
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
+  // Set when the answer shown is only part of one: 'cancelled' or 'interrupted'
+  const [stopped, setStopped] = useState(null)
+  // Details of the answer that didn't match the data, from the server's check
+  const [mismatches, setMismatches] = useState([])
+  const [cached, setCached] = useState(false)
+  // Follow-ups to the answer shown; before any answer, the chart's starter questions
+  const [followUps, setFollowUps] = useState([])
+  const abortRef = useRef(null)
 
-  if (!isOpen) return null
+  useEffect(() => () => abortRef.current?.abort(), [])
+
+  const starters = useMemo(
+    () => (isOpen && chart ? chartQuestions(chart, { healthData, screenTimeData }) : []),
+    [isOpen, chart, healthData, screenTimeData]
+  )
+
+  if (!isOpen || !chart) return null
 
   const handleSubmit = async (e) => {
     e.preventDefault()
     if (!question.trim()) return
 
+    const controller = new AbortController()
+    abortRef.current = controller
     setLoading(true)
     setError('')
     setAnswer('')
+    setStopped(null)
+    setMismatches([])
+    setCached(false)
+    setFollowUps([])
 
     try {
-      const response = await askChartQuestion(question, chartTitle, chartContext, metrics, healthData, screenTimeData)
-      setAnswer(response)
+      const { answer, suggestions, verification, cached } = await askChartQuestion(question, chart, metrics, healthData, screenTimeData, {
+        onToken: setAnswer,
+        signal: controller.signal,
+      })
+      setAnswer(answer)
+      setMismatches(verification?.mismatches || [])
+      setCached(cached)
+      setFollowUps(suggestions)
     } catch (err) {
-      setError(err.message || 'Failed to get answer')
+      // The partial answer stays on screen
+      if (err.partial) setStopped(err.cancelled ? 'cancelled' : 'interrupted')
+      if (!err.cancelled) setError(err.message || 'Failed to get answer')
     } finally {
+      abortRef.current = null
       setLoading(false)
     }
   }
 
   const handleClose = () => {
+    abortRef.current?.abort()
     setQuestion('')
     setAnswer('')
     setError('')
+    setStopped(null)
+    setMismatches([])
+    setCached(false)
+    setFollowUps([])
     onClose()
   }
 
@@ -39,7 +77,10 @@ export default function ChartQuestionModal({ isOpen, onClose, chartTitle, chartC
     <div className="modal-overlay" onClick={handleClose}>
       <div className="modal-content" onClick={(e) => e.stopPropagation()}>
         <div className="modal-header">
-          <h3>Ask about: {chartTitle}</h3>
+          <div>
+            <h3>Ask about: {chart.title}</h3>
+            <p className="chart-question-range">{describeChartRange(chart.range)}</p>
+          </div>
           <button className="modal-close" onClick={handleClose}>×</button>
         </div>
         
@@ -54,21 +95,54 @@ export default function ChartQuestionModal({ isOpen, onClose, chartTitle, chartC
               disabled={loading}
               autoFocus
             />
-            <button type="submit" className="chart-question-submit" disabled={loading || !question.trim()}>
-              {loading ? 'Thinking...' : 'Ask'}
-            </button>
+            {loading ? (
+              <button type="button" className="chart-question-submit chart-question-cancel" onClick={() => abortRef.current?.abort()}>
+                Cancel
+              </button>
+            ) : (
+              <button type="submit" className="chart-question-submit" disabled={!question.trim()}>
+                Ask
+              </button>
+            )}
           </form>
 
+          {!loading && (answer ? followUps : starters).length > 0 && (
+            <div className="chart-suggestions">
+              <span className="chart-suggestions-label">{answer ? 'Ask next:' : 'Try asking:'}</span>
+              {(answer ? followUps : starters).map(suggestion => (
+                <button key={suggestion} type="button" className="chart-suggestion-btn" onClick={() => setQuestion(suggestion)}>
+                  {suggestion}
+                </button>
+              ))}
+            </div>
+          )}
+
           {error && (
             <div className="chart-error">
               {error}
             </div>
           )}
 
+          {loading && !answer && <p className="chart-answer-pending">Thinking...</p>}
+
           {answer && (
             <div className="chart-answer">
               <h4>Answer</h4>
               <p>{answer}</p>
+              {stopped && (
+                <p className="chart-answer-stopped">
+                  {stopped === 'cancelled' ? 'Stopped - partial answer' : 'Connection lost - partial answer'}
+                </p>
+              )}
+              {cached && <p className="chart-answer-cached">Same question on unchanged data - answered from the cache</p>}
+              {mismatches.length > 0 && (
+                <div className="chart-answer-unverified">
+                  <p>Some details could not be matched to your data - check them before relying on this answer:</p>
+                  <ul>
+                    {mismatches.map(mismatch => <li key={mismatch.message}>{mismatch.message}</li>)}
+                  </ul>
+                </div>
+              )}
             </div>
           )}
         </div>
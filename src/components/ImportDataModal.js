@@ -0,0 +1,327 @@
+import { useState } from 'react'
+import { importHealthFiles, importJSONFile, resolveSourcePriority, SOURCE_LABELS } from '../utils/data'
+import { isGoogleFitTable } from '../utils/googleFit'
+import { isFitbitFile } from '../utils/fitbit'
+import { getSettings, updateSettings } from '../utils/settings'
+import { validateHealthRecords, validateScreenTimeRecords } from '../utils/validation'
+import { readBackupFile } from '../utils/storage'
+import {
+  HEALTH_COLUMNS,
+  SCREEN_TIME_COLUMNS,
+  readCSVFile,
+  guessColumnMapping,
+  healthDataFromCSV,
+  screenTimeDataFromCSV,
+} from '../utils/csv'
+import './ChartQuestionModal.css'
+import './ImportDataModal.css'
+
+const MAX_ERRORS_SHOWN = 50
+
+export default function ImportDataModal({ isOpen, onClose, onImportHealth, onImportScreenTime, onRestoreBackup }) {
+  const [dataset, setDataset] = useState('health')
+  const [csvTable, setCsvTable] = useState(null)
+  const [mapping, setMapping] = useState({})
+  const [report, setReport] = useState(null)
+  const [mode, setMode] = useState('replace')
+  const [progress, setProgress] = useState(null)
+  const [error, setError] = useState('')
+  const [restoring, setRestoring] = useState(false)
+  const [sourcePriority, setSourcePriority] = useState(() => getSettings().sourcePriority)
+
+  if (!isOpen) return null
+
+  const columns = dataset === 'health' ? HEALTH_COLUMNS : SCREEN_TIME_COLUMNS
+
+  // Nothing is accepted until every record has been checked and the report shown
+  const validate = (records, firstRow) => {
+    const result = dataset === 'health'
+      ? validateHealthRecords(records, { firstRow })
+      : validateScreenTimeRecords(records, { firstRow })
+    result.valid.sort((a, b) => a.date.localeCompare(b.date))
+    setReport({ ...result, total: records.length })
+  }
+
+  // A backup holds both datasets; each is validated and reported separately
+  const validateBackup = (backup) => {
+    const health = validateHealthRecords(backup.health)
+    const screenTime = validateScreenTimeRecords(backup.screenTime)
+    setReport({
+      valid: [...health.valid, ...screenTime.valid].sort((a, b) => a.date.localeCompare(b.date)),
+      errors: [
+        ...health.errors.map(err => ({ ...err, field: `health.${err.field}` })),
+        ...screenTime.errors.map(err => ({ ...err, field: `screenTime.${err.field}` })),
+      ],
+      total: backup.health.length + backup.screenTime.length,
+      backup: { health: health.valid, screenTime: screenTime.valid },
+    })
+  }
+
+  const reset = () => {
+    setCsvTable(null)
+    setMapping({})
+    setReport(null)
+    setProgress(null)
+    setError('')
+  }
+
+  const handleFileChange = async (e) => {
+    const files = [...e.target.files]
+    if (!files.length) return
+    const [file] = files
+    const name = file.name.toLowerCase()
+
+    reset()
+
+    try {
+      if (dataset === 'backup') {
+        validateBackup(await readBackupFile(file))
+        return
+      }
+      if (files.length === 1 && name.endsWith('.csv')) {
+        const table = await readCSVFile(file)
+        // Google Fit daily metrics have a fixed layout and need no column mapping
+        if (!(dataset === 'health' && isGoogleFitTable(table.headers))) {
+          setCsvTable(table)
+          setMapping(guessColumnMapping(table.headers, columns))
+          return
+        }
+      }
+      if (files.length === 1 && name.endsWith('.json') && !isFitbitFile(file.name)) {
+        validate(await importJSONFile(file, dataset), 1)
+        return
+      }
+      if (dataset !== 'health') {
+        throw new Error('Screen time can only be imported from a CSV or JSON file')
+      }
+      setProgress(0)
+      const records = await importHealthFiles(files, { onProgress: setProgress })
+      // Dates covered by several sources keep only the preferred source's record
+      validate(resolveSourcePriority(records, sourcePriority), 1)
+    } catch (err) {
+      setError(err.message || 'Failed to read file')
+    } finally {
+      setProgress(null)
+    }
+  }
+
+  const handleApplyMapping = () => {
+    setError('')
+    try {
+      const parsed = dataset === 'health'
+        ? healthDataFromCSV(csvTable, mapping)
+        : screenTimeDataFromCSV(csvTable, mapping)
+      if (!parsed.length) throw new Error('The CSV file has no data rows')
+      // Row 1 is the header
+      validate(parsed, 2)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const moveSource = (index, offset) => {
+    const next = [...sourcePriority]
+    const [source] = next.splice(index, 1)
+    next.splice(index + offset, 0, source)
+    setSourcePriority(next)
+    updateSettings({ sourcePriority: next })
+  }
+
+  const handleClose = () => {
+    reset()
+    onClose()
+  }
+
+  const handleConfirm = async () => {
+    if (dataset === 'backup') {
+      setRestoring(true)
+      try {
+        await onRestoreBackup(report.backup)
+      } catch (err) {
+        setError(`Failed to restore backup: ${err.message}`)
+        return
+      } finally {
+        setRestoring(false)
+      }
+    } else if (dataset === 'health') {
+      onImportHealth(report.valid, mode)
+    } else {
+      onImportScreenTime(report.valid, mode)
+    }
+    handleClose()
+  }
+
+  const dayCount = report ? new Set(report.valid.map(r => r.date)).size : 0
+
+  return (
+    <div className="modal-overlay" onClick={handleClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Import Data</h3>
+          <button className="modal-close" onClick={handleClose}>×</button>
+        </div>
+
+        <div className="modal-body">
+          <div className="import-dataset">
+            <label htmlFor="import-dataset">Dataset:</label>
+            <select
+              id="import-dataset"
+              value={dataset}
+              onChange={(e) => {
+                setDataset(e.target.value)
+                reset()
+              }}
+              className="filter-select"
+            >
+              <option value="health">Health</option>
+              <option value="screenTime">Screen Time</option>
+              <option value="backup">Full Backup (restore)</option>
+            </select>
+          </div>
+
+          <p className="import-hint">
+            {dataset === 'health' && <>Choose a CSV or JSON file, an Apple Health <code>export.xml</code> / <code>export.zip</code>, a Google Takeout Fit <code>Daily activity metrics.csv</code> or takeout zip, or Fitbit export JSON files (or the Fitbit export zip).</>}
+            {dataset === 'screenTime' && <>Choose a CSV or JSON file with date, app, minutes and category fields.</>}
+            {dataset === 'backup' && <>Choose an Altu backup file. Restoring replaces all stored health and screen time data.</>}
+          </p>
+          <input
+            key={dataset}
+            type="file"
+            multiple={dataset === 'health'}
+            accept={{ health: '.csv,.json,.xml,.zip', screenTime: '.csv,.json', backup: '.json' }[dataset]}
+            onChange={handleFileChange}
+            className="import-file-input"
+            disabled={progress !== null}
+          />
+
+          {dataset === 'health' && (
+            <div className="import-priority">
+              <h4>Source priority</h4>
+              <p className="import-hint">When several sources have the same day, the one higher in this list is used.</p>
+              <ol>
+                {sourcePriority.map((source, i) => (
+                  <li key={source}>
+                    <span>{SOURCE_LABELS[source] || source}</span>
+                    <button onClick={() => moveSource(i, -1)} disabled={i === 0} title="Move up">↑</button>
+                    <button onClick={() => moveSource(i, 1)} disabled={i === sourcePriority.length - 1} title="Move down">↓</button>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+
+          {progress !== null && (
+            <div className="import-progress">
+              <div className="import-progress-fill" style={{ width: `${Math.round(progress * 100)}%` }} />
+            </div>
+          )}
+
+          {csvTable && !report && (
+            <div className="import-mapping">
+              <h4>Match CSV columns</h4>
+              {columns.map(column => (
+                <div key={column} className="import-mapping-row">
+                  <label htmlFor={`map-${column}`}>{column}</label>
+                  <select
+                    id={`map-${column}`}
+                    value={mapping[column] ?? -1}
+                    onChange={(e) => setMapping({ ...mapping, [column]: Number(e.target.value) })}
+                    className="filter-select"
+                  >
+                    <option value={-1}>Choose a column...</option>
+                    {csvTable.headers.map((header, i) => (
+                      <option key={i} value={i}>{header}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+              <button className="chart-question-submit" onClick={handleApplyMapping}>
+                Read {csvTable.rows.length} rows
+              </button>
+            </div>
+          )}
+
+          {error && (
+            <div className="chart-error">
+              {error}
+            </div>
+          )}
+
+          {report && (
+            <div className="import-report">
+              <p className="import-report-summary">
+                {report.valid.length} of {report.total} records passed validation
+                {report.valid.length > 0 && <> ({dayCount} days, {report.valid[0].date} to {report.valid[report.valid.length - 1].date})</>}
+                {report.errors.length > 0 && <>; {report.errors.length} problems found</>}.
+              </p>
+
+              {report.errors.length > 0 && (
+                <div className="import-errors">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Row</th>
+                        <th>Field</th>
+                        <th>Problem</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.errors.slice(0, MAX_ERRORS_SHOWN).map((err, i) => (
+                        <tr key={i}>
+                          <td>{err.row}</td>
+                          <td>{err.field}</td>
+                          <td>{err.message}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {report.errors.length > MAX_ERRORS_SHOWN && (
+                    <p className="import-errors-more">
+                      and {report.errors.length - MAX_ERRORS_SHOWN} more
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {report.valid.length > 0 && (
+                <div className="import-summary">
+                  {dataset === 'backup' ? (
+                    <p>
+                      {report.backup.health.length} health days and {report.backup.screenTime.length} screen time entries will be restored.
+                    </p>
+                  ) : (
+                    <div className="import-mode">
+                      <label>
+                        <input
+                          type="radio"
+                          name="import-mode"
+                          value="replace"
+                          checked={mode === 'replace'}
+                          onChange={() => setMode('replace')}
+                        />
+                        Replace current data
+                      </label>
+                      <label>
+                        <input
+                          type="radio"
+                          name="import-mode"
+                          value="merge"
+                          checked={mode === 'merge'}
+                          onChange={() => setMode('merge')}
+                        />
+                        Merge (imported {dataset === 'health' ? 'days' : 'entries'} win)
+                      </label>
+                    </div>
+                  )}
+                  <button className="chart-question-submit" onClick={handleConfirm} disabled={restoring}>
+                    {dataset === 'backup' ? 'Restore backup' : `Import ${report.valid.length} records`}
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,186 @@
+import { useState } from 'react'
+import { MANUAL_SOURCE } from '../utils/data'
+import { validateHealthRecords, validateScreenTimeRecords, KNOWN_CATEGORIES } from '../utils/validation'
+import { today } from '../utils/dates'
+import { getSettings } from '../utils/settings'
+import './ChartQuestionModal.css'
+import './LogEntryModal.css'
+
+const HEALTH_INPUTS = [
+  { key: 'steps', label: 'Steps' },
+  { key: 'sleep', label: 'Sleep (min)' },
+  { key: 'energy', label: 'Active energy (kcal)' },
+  { key: 'workout', label: 'Exercise (min)' },
+]
+
+// Form state for one day: inputs are kept as strings, and each screen time row
+// remembers the stored entry it came from so untouched entries keep their source
+function loadDay(date, healthData, screenTimeData) {
+  const record = healthData.find(d => d.date === date)
+  const health = {}
+  HEALTH_INPUTS.forEach(({ key }) => { health[key] = record ? String(record[key]) : '' })
+  const entries = screenTimeData
+    .filter(item => item.date === date)
+    .map(item => ({ app: item.app, category: item.category, minutes: String(item.minutes), original: item }))
+  return { date, record, health, entries }
+}
+
+const toNumber = (value) => (value.trim() === '' ? 0 : Number(value))
+
+// Mounted only while open, so each opening starts from the current data
+export default function LogEntryModal({ onClose, healthData, screenTimeData, onSave }) {
+  const [day, setDay] = useState(() => loadDay(today(getSettings().timeZone), healthData, screenTimeData))
+  const [errors, setErrors] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  // Known apps fill in their category when picked
+  const appCategories = new Map(screenTimeData.map(item => [item.app, item.category]))
+
+  const selectDate = (date) => {
+    setDay(loadDay(date, healthData, screenTimeData))
+    setErrors([])
+  }
+
+  const setHealthValue = (key, value) => setDay({ ...day, health: { ...day.health, [key]: value } })
+
+  const updateEntry = (index, changes) => {
+    const entries = day.entries.map((entry, i) => (i === index ? { ...entry, ...changes } : entry))
+    setDay({ ...day, entries })
+  }
+
+  const handleAppChange = (index, app) => {
+    const category = appCategories.get(app)
+    updateEntry(index, category ? { app, category } : { app })
+  }
+
+  const addEntry = () => setDay({ ...day, entries: [...day.entries, { app: '', category: '', minutes: '' }] })
+
+  const removeEntry = (index) => setDay({ ...day, entries: day.entries.filter((_, i) => i !== index) })
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    const values = {}
+    HEALTH_INPUTS.forEach(({ key }) => { values[key] = toNumber(day.health[key]) })
+    const unchanged = day.record && HEALTH_INPUTS.every(({ key }) => values[key] === day.record[key])
+    const healthRecord = unchanged ? day.record : { date: day.date, ...values, source: MANUAL_SOURCE }
+
+    const entries = day.entries.map(entry => {
+      const record = { date: day.date, app: entry.app.trim(), minutes: toNumber(entry.minutes), category: entry.category }
+      const { original } = entry
+      if (original && original.app === record.app && original.minutes === record.minutes && original.category === record.category) {
+        return original
+      }
+      return { ...record, source: MANUAL_SOURCE }
+    })
+
+    const health = validateHealthRecords([healthRecord])
+    const screenTime = validateScreenTimeRecords(entries)
+    const problems = [
+      ...health.errors.map(err => err.message),
+      ...screenTime.errors.map(err => `App ${err.row}: ${err.message}`),
+    ]
+    setErrors(problems)
+    if (problems.length) return
+
+    setSaving(true)
+    try {
+      await onSave(healthRecord, entries)
+      onClose()
+    } catch (err) {
+      setErrors([err.message || 'Failed to save this day'])
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Log a Day</h3>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <form className="modal-body" onSubmit={handleSave}>
+          <div className="log-date">
+            <label htmlFor="log-date">Date:</label>
+            <input
+              id="log-date"
+              type="date"
+              value={day.date}
+              onChange={(e) => e.target.value && selectDate(e.target.value)}
+              className="filter-select"
+            />
+            {day.record && (
+              <span className="log-date-status">
+                {day.record.source === MANUAL_SOURCE ? 'Manually entered' : 'Recorded'} - editing marks it as manual
+              </span>
+            )}
+          </div>
+
+          <h4 className="log-section-title">Health</h4>
+          <div className="log-health">
+            {HEALTH_INPUTS.map(({ key, label }) => (
+              <label key={key}>
+                {label}
+                <input
+                  type="number"
+                  min="0"
+                  value={day.health[key]}
+                  onChange={(e) => setHealthValue(key, e.target.value)}
+                  placeholder="0"
+                />
+              </label>
+            ))}
+          </div>
+
+          <h4 className="log-section-title">Screen Time</h4>
+          <datalist id="log-apps">
+            {[...appCategories.keys()].sort().map(app => <option key={app} value={app} />)}
+          </datalist>
+          {day.entries.map((entry, i) => (
+            <div key={i} className="log-entry-row">
+              <input
+                type="text"
+                list="log-apps"
+                value={entry.app}
+                onChange={(e) => handleAppChange(i, e.target.value)}
+                placeholder="App"
+                aria-label="App"
+              />
+              <select
+                value={entry.category}
+                onChange={(e) => updateEntry(i, { category: e.target.value })}
+                aria-label="Category"
+              >
+                <option value="">Category...</option>
+                {KNOWN_CATEGORIES.map(category => (
+                  <option key={category} value={category}>{category}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="0"
+                value={entry.minutes}
+                onChange={(e) => updateEntry(i, { minutes: e.target.value })}
+                placeholder="Minutes"
+                aria-label="Minutes"
+              />
+              <button type="button" className="log-entry-remove" onClick={() => removeEntry(i)} title="Remove">×</button>
+            </div>
+          ))}
+          <button type="button" className="log-entry-add" onClick={addEntry}>+ Add app</button>
+
+          {errors.length > 0 && (
+            <div className="chart-error">
+              {errors.map((message, i) => <div key={i}>{message}</div>)}
+            </div>
+          )}
+
+          <button type="submit" className="chart-question-submit" disabled={saving}>
+            {saving ? 'Saving...' : 'Save day'}
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
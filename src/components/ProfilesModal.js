@@ -0,0 +1,108 @@
+import { useState } from 'react'
+import { createProfile, DEFAULT_PROFILE_ID } from '../utils/profiles'
+import './ChartQuestionModal.css'
+import './ProfilesModal.css'
+
+const GOAL_FIELDS = [
+  { key: 'steps', label: 'Steps / day' },
+  { key: 'sleep', label: 'Sleep (min)' },
+  { key: 'workout', label: 'Exercise (min)' },
+  { key: 'screenTime', label: 'Screen time limit (min)' },
+]
+
+export default function ProfilesModal({ isOpen, onClose, profiles, activeId, onAddProfile, onUpdateProfile, onDeleteProfile }) {
+  const [newName, setNewName] = useState('')
+  const [error, setError] = useState('')
+
+  if (!isOpen) return null
+
+  const handleAdd = (e) => {
+    e.preventDefault()
+    if (!newName.trim()) return
+    onAddProfile(createProfile(newName))
+    setNewName('')
+  }
+
+  // Goals must stay positive - anything else is ignored until it is a valid number
+  const handleGoalChange = (profile, key, value) => {
+    const goal = Number(value)
+    if (!Number.isFinite(goal) || goal <= 0) return
+    onUpdateProfile(profile.id, { goals: { ...profile.goals, [key]: goal } })
+  }
+
+  const handleDelete = async (profile) => {
+    if (!window.confirm(`Delete ${profile.name}? Their data, goals and chat history will be removed.`)) return
+    setError('')
+    try {
+      await onDeleteProfile(profile.id)
+    } catch (err) {
+      setError(err.message || 'Failed to delete profile data')
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Profiles</h3>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-body">
+          <p className="profiles-hint">Each profile has its own data, goals and Ask Altu history.</p>
+
+          {profiles.map(profile => (
+            <div key={profile.id} className={`profile-card ${profile.id === activeId ? 'active' : ''}`}>
+              <div className="profile-card-header">
+                <input
+                  type="text"
+                  value={profile.name}
+                  onChange={(e) => onUpdateProfile(profile.id, { name: e.target.value })}
+                  className="chart-question-input"
+                  aria-label="Profile name"
+                />
+                {profile.id !== DEFAULT_PROFILE_ID && (
+                  <button className="profile-delete" onClick={() => handleDelete(profile)}>
+                    Delete
+                  </button>
+                )}
+              </div>
+              <div className="profile-goals">
+                {GOAL_FIELDS.map(({ key, label }) => (
+                  <label key={key}>
+                    {label}
+                    <input
+                      type="number"
+                      min="1"
+                      defaultValue={profile.goals[key]}
+                      onChange={(e) => handleGoalChange(profile, key, e.target.value)}
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          {error && (
+            <div className="chart-error">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleAdd} className="chart-question-form">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New profile name..."
+              className="chart-question-input"
+            />
+            <button type="submit" className="chart-question-submit" disabled={!newName.trim()}>
+              Add profile
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  )
+}
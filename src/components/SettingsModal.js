@@ -0,0 +1,57 @@
+import { useState } from 'react'
+import { getSettings, updateSettings } from '../utils/settings'
+import { listTimeZones, today, WEEKDAYS, BROWSER_TIME_ZONE } from '../utils/dates'
+import './ChartQuestionModal.css'
+import './ImportDataModal.css'
+
+// Calendar preferences shared by every profile: the timezone that decides what
+// "today" is and the day weeks start on
+export default function SettingsModal({ isOpen, onClose }) {
+  const [settings, setSettings] = useState(getSettings)
+
+  if (!isOpen) return null
+
+  const handleChange = (changes) => setSettings(updateSettings(changes))
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Settings</h3>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-body">
+          <div className="import-mapping-row">
+            <label htmlFor="settings-time-zone">Time zone</label>
+            <select
+              id="settings-time-zone"
+              value={settings.timeZone}
+              onChange={(e) => handleChange({ timeZone: e.target.value })}
+              className="filter-select"
+            >
+              <option value="">Browser default ({BROWSER_TIME_ZONE})</option>
+              {listTimeZones().map(zone => (
+                <option key={zone} value={zone}>{zone}</option>
+              ))}
+            </select>
+          </div>
+          <div className="import-mapping-row">
+            <label htmlFor="settings-week-start">Week starts on</label>
+            <select
+              id="settings-week-start"
+              value={settings.weekStart}
+              onChange={(e) => handleChange({ weekStart: Number(e.target.value) })}
+              className="filter-select"
+            >
+              {WEEKDAYS.map((day, i) => (
+                <option key={day} value={i}>{day}</option>
+              ))}
+            </select>
+          </div>
+          <p className="import-hint">Today is {today(settings.timeZone)} in this time zone.</p>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,182 @@
+import { useState, useEffect } from 'react'
+import { getUsage, setDailyTokenBudget } from '../utils/llm'
+import { formatDate } from '../utils/dates'
+import './ChartQuestionModal.css'
+import './ImportDataModal.css'
+import './UsageModal.css'
+
+const formatTokens = (tokens) => tokens.toLocaleString('en-US')
+
+// Spend is only known for priced models; under a cent shows as "<$0.01"
+function formatCost(cost) {
+  if (cost === null) return '-'
+  return cost > 0 && cost < 0.01 ? '<$0.01' : `$${cost.toFixed(2)}`
+}
+
+const SITE_LABELS = { ask: 'Ask Altu', chart: 'Chart question' }
+
+// LLM token usage recorded by the backend, with the daily budget that stops new
+// calls once it is used up
+export default function UsageModal({ isOpen, onClose }) {
+  const [usage, setUsage] = useState(null)
+  const [budgetInput, setBudgetInput] = useState('')
+  const [error, setError] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  // Fetched fresh each time the panel opens
+  useEffect(() => {
+    if (!isOpen) return
+    let current = true
+    setError('')
+    getUsage()
+      .then(data => {
+        if (!current) return
+        setUsage(data)
+        setBudgetInput(data.budget.dailyTokens ? String(data.budget.dailyTokens) : '')
+      })
+      .catch(err => current && setError(err.message))
+    return () => {
+      current = false
+    }
+  }, [isOpen])
+
+  if (!isOpen) return null
+
+  const saveBudget = async (dailyTokens) => {
+    setSaving(true)
+    setError('')
+    try {
+      const data = await setDailyTokenBudget(dailyTokens)
+      setUsage(data)
+      setBudgetInput(data.budget.dailyTokens ? String(data.budget.dailyTokens) : '')
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    const tokens = Number(budgetInput)
+    if (!Number.isInteger(tokens) || tokens <= 0) {
+      setError('Enter the budget as a whole number of tokens')
+      return
+    }
+    saveBudget(tokens)
+  }
+
+  const budget = usage?.budget.dailyTokens
+  const used = usage?.today.totalTokens || 0
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>LLM Usage</h3>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-body">
+          {error && <div className="chart-error">{error}</div>}
+          {!usage && !error && <p className="import-hint">Loading usage...</p>}
+
+          {usage && (
+            <>
+              <div className="usage-today">
+                <p>
+                  <strong>{formatTokens(used)}</strong> tokens today
+                  {budget ? ` of ${formatTokens(budget)}` : ' (no daily limit)'}
+                </p>
+                {budget && (
+                  <div className="import-progress">
+                    <div
+                      className={`import-progress-fill ${used >= budget ? 'usage-over' : ''}`}
+                      style={{ width: `${Math.min(100, (used / budget) * 100)}%` }}
+                    />
+                  </div>
+                )}
+                <p className="import-hint">
+                  {usage.today.calls} API {usage.today.calls === 1 ? 'request' : 'requests'} · {usage.today.cachedCalls} answered from cache · estimated spend {formatCost(usage.today.cost)}
+                </p>
+              </div>
+
+              <form onSubmit={handleSubmit} className="chart-question-form">
+                <input
+                  type="number"
+                  min="1"
+                  value={budgetInput}
+                  onChange={(e) => setBudgetInput(e.target.value)}
+                  placeholder="Daily token budget..."
+                  className="chart-question-input"
+                  aria-label="Daily token budget"
+                />
+                <button type="submit" className="chart-question-submit" disabled={saving || !budgetInput}>
+                  Set budget
+                </button>
+                {budget && (
+                  <button type="button" className="usage-clear" onClick={() => saveBudget(null)} disabled={saving}>
+                    No limit
+                  </button>
+                )}
+              </form>
+              <p className="import-hint">
+                Once the day's tokens reach the budget, new questions are refused until midnight. Answers already given are still served from the cache.
+              </p>
+
+              <h4 className="usage-heading">Last 14 days</h4>
+              <table className="usage-table">
+                <thead>
+                  <tr>
+                    <th>Day</th>
+                    <th>Requests</th>
+                    <th>Cached</th>
+                    <th>Tokens</th>
+                    <th>Spend</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...usage.days].reverse().map(day => (
+                    <tr key={day.date}>
+                      <td>{formatDate(day.date)}</td>
+                      <td>{day.calls}</td>
+                      <td>{day.cachedCalls}</td>
+                      <td>{formatTokens(day.totalTokens)}</td>
+                      <td>{formatCost(day.cost)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {usage.recent.length > 0 && (
+                <>
+                  <h4 className="usage-heading">Recent calls</h4>
+                  <table className="usage-table">
+                    <thead>
+                      <tr>
+                        <th>Time</th>
+                        <th>From</th>
+                        <th>Model</th>
+                        <th>Tokens (in / out)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {usage.recent.map((call, i) => (
+                        <tr key={`${call.at}-${i}`}>
+                          <td>{new Date(call.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</td>
+                          <td>{SITE_LABELS[call.site] || call.site}</td>
+                          <td>{call.cached ? 'cache' : `${call.provider} / ${call.model}`}</td>
+                          <td>{call.cached ? '-' : `${formatTokens(call.promptTokens)} / ${formatTokens(call.completionTokens)}`}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,75 +1,226 @@
-import { useState, useEffect } from 'react'
-import { loadHealthData, loadScreenTimeData, computeMetrics } from '../utils/data'
+import { useState, useRef, useEffect, useMemo } from 'react'
 import { askQuestion } from '../utils/llm'
+import { getThreads, createThread, saveThread, deleteThread, getPinnedCharts, pinChart } from '../utils/profiles'
+import { formatDate } from '../utils/dates'
+import { describeChartRange } from '../utils/chartSpec'
+import { starterQuestions } from '../utils/suggestions'
+import AnswerChart from '../components/AnswerChart'
 import './AskAltu.css'
 
-export default function AskAltu() {
+// The analytics tools the model ran for an answer, with their arguments and results
+function ToolCalls({ calls }) {
+  if (!calls?.length) return null
+  return (
+    <details className="tool-calls">
+      <summary>Used {calls.length} {calls.length === 1 ? 'tool' : 'tools'}</summary>
+      <ul>
+        {calls.map((call, i) => (
+          <li key={i}>
+            <code className="tool-call-name">{call.name}({JSON.stringify(call.arguments)})</code>
+            {call.error ? (
+              <span className="tool-call-error">Error: {call.error}</span>
+            ) : (
+              <pre className="tool-call-result">{JSON.stringify(call.result, null, 2)}</pre>
+            )}
+          </li>
+        ))}
+      </ul>
+    </details>
+  )
+}
+
+// Answers the server worked out without the model (see server/answerEngine.js)
+const SOURCE_NOTES = {
+  rules: 'Worked out directly from your data - no AI model involved',
+  reworded: 'Figures worked out from your data, worded by the AI model',
+}
+
+export default function AskAltu({ profileId, healthData, screenTimeData, metrics }) {
   const [question, setQuestion] = useState('')
-  const [answer, setAnswer] = useState('')
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
-  const [healthData, setHealthData] = useState([])
-  const [screenTimeData, setScreenTimeData] = useState([])
-  const [metrics, setMetrics] = useState(null)
-
-  useEffect(() => {
-    async function fetchData() {
-      const [health, screenTime] = await Promise.all([
-        loadHealthData(),
-        loadScreenTimeData(),
-      ])
-      setHealthData(health)
-      setScreenTimeData(screenTime)
-      setMetrics(computeMetrics(health, screenTime))
-    }
-    fetchData()
-  }, [])
-
-  const examples = [
-    'How does exercise relate to sleep?',
-    'How have my steps trended over the past month?',
-    'How does time using Twitter differ weekday vs. weekend?',
-    'What is my average screen time per day?',
-    'Which app do I use the most?',
-    'How many days did I work out in the last 90 days?',
-  ]
+  const [threads, setThreads] = useState(() => getThreads(profileId))
+  // null while a new thread is being started
+  const [activeId, setActiveId] = useState(null)
+  const [pendingQuestion, setPendingQuestion] = useState('')
+  const [streamedAnswer, setStreamedAnswer] = useState('')
+  const [pendingToolCalls, setPendingToolCalls] = useState([])
+  const [pinnedIds, setPinnedIds] = useState(() => new Set(getPinnedCharts(profileId).map(chart => chart.id)))
+  const abortRef = useRef(null)
+
+  // Leaving the page cancels an answer in progress; what arrived so far is still saved
+  useEffect(() => () => abortRef.current?.abort(), [])
+
+  const activeThread = threads.find(thread => thread.id === activeId) || null
+
+  const starters = useMemo(() => starterQuestions({ healthData, screenTimeData }), [healthData, screenTimeData])
+  // Offered under the thread: the follow-ups to its latest answer
+  const followUps = activeThread?.turns[activeThread.turns.length - 1]?.suggestions || []
 
   async function handleSubmit(e) {
     e.preventDefault()
-    if (!question.trim() || !metrics) return
+    const asked = question.trim()
+    if (!asked || !metrics) return
 
+    const thread = activeThread || createThread(asked)
+    const controller = new AbortController()
+    abortRef.current = controller
     setLoading(true)
     setError('')
-    setAnswer('')
+    setPendingQuestion(asked)
+    setStreamedAnswer('')
+    setPendingToolCalls([])
+    setQuestion('')
+
+    const addTurn = (turn) => {
+      const askedAt = new Date().toISOString()
+      const updated = {
+        ...thread,
+        updatedAt: askedAt,
+        turns: [...thread.turns, { question: asked, insights: '', ...turn, askedAt }],
+      }
+      setThreads(saveThread(profileId, updated))
+      setActiveId(updated.id)
+    }
 
     try {
-      const response = await askQuestion(question, metrics, healthData, screenTimeData)
-      setAnswer(response)
+      const { answer, insights, chart, suggestions, toolCalls, verification, cached, source } = await askQuestion(asked, metrics, healthData, screenTimeData, thread.turns, {
+        onToken: setStreamedAnswer,
+        onToolCall: (call) => setPendingToolCalls(calls => [...calls, call]),
+        signal: controller.signal,
+      })
+      addTurn({ answer, insights, ...(chart && { chart }), suggestions, toolCalls, verification, ...(cached && { cached }), ...(source !== 'llm' && { source }) })
     } catch (err) {
-      setError(err.message || 'Failed to get answer')
+      if (err.partial) {
+        // Keep whatever arrived; the turn is marked so it reads as unfinished
+        addTurn({ answer: err.partial, insights: err.insights, toolCalls: err.toolCalls, stopped: err.cancelled ? 'cancelled' : 'interrupted' })
+      } else {
+        setQuestion(asked)
+      }
+      if (!err.cancelled) setError(err.message || 'Failed to get answer')
     } finally {
+      abortRef.current = null
       setLoading(false)
+      setPendingQuestion('')
+      setStreamedAnswer('')
+      setPendingToolCalls([])
     }
   }
 
+  function handleNewThread() {
+    setActiveId(null)
+    setError('')
+    setQuestion('')
+  }
+
+  // A turn's chart is pinned once, keyed by when it was asked
+  function handlePinChart(turn) {
+    const pinned = pinChart(profileId, { id: `chart-${turn.askedAt}`, spec: turn.chart, question: turn.question, pinnedAt: new Date().toISOString() })
+    setPinnedIds(new Set(pinned.map(chart => chart.id)))
+  }
+
+  function handleDeleteThread(thread) {
+    if (!window.confirm(`Delete the thread "${thread.title}"?`)) return
+    setThreads(deleteThread(profileId, thread.id))
+    if (thread.id === activeId) setActiveId(null)
+  }
+
   return (
     <div className="ask-altu">
       <h2>Ask Altu</h2>
       <p className="subtitle">Ask questions about your health and screen time data</p>
 
+      {(activeThread || pendingQuestion) && (
+        <div className="thread">
+          <div className="thread-header">
+            <h3>{activeThread?.title || pendingQuestion}</h3>
+            <button className="thread-new" onClick={handleNewThread} disabled={loading}>
+              New thread
+            </button>
+          </div>
+          {activeThread?.turns.map(turn => (
+            <div key={turn.askedAt} className="thread-turn">
+              <p className="thread-question">{turn.question}</p>
+              <div className="answer">
+                <p>{turn.answer}</p>
+                {turn.chart && (
+                  <div className="answer-chart">
+                    <div className="answer-chart-header">
+                      <div>
+                        <h4>{turn.chart.title}</h4>
+                        <span className="answer-chart-range">{describeChartRange(turn.chart.range)}</span>
+                      </div>
+                      <button
+                        className="answer-chart-pin"
+                        onClick={() => handlePinChart(turn)}
+                        disabled={pinnedIds.has(`chart-${turn.askedAt}`)}
+                      >
+                        {pinnedIds.has(`chart-${turn.askedAt}`) ? 'Pinned to Dashboard' : 'Pin to Dashboard'}
+                      </button>
+                    </div>
+                    <AnswerChart spec={turn.chart} healthData={healthData} screenTimeData={screenTimeData} />
+                  </div>
+                )}
+                {turn.stopped && (
+                  <p className="answer-stopped">
+                    {turn.stopped === 'cancelled' ? 'Stopped - partial answer' : 'Connection lost - partial answer'}
+                  </p>
+                )}
+                {turn.cached && <p className="answer-cached">Same question on unchanged data - answered from the cache</p>}
+                {turn.source && <p className="answer-source">{SOURCE_NOTES[turn.source]}</p>}
+                {turn.verification?.mismatches.length > 0 && (
+                  <div className="answer-unverified">
+                    <p>Some details could not be matched to your data - check them before relying on this answer:</p>
+                    <ul>
+                      {turn.verification.mismatches.map(mismatch => <li key={mismatch.message}>{mismatch.message}</li>)}
+                    </ul>
+                  </div>
+                )}
+                <ToolCalls calls={turn.toolCalls} />
+              </div>
+            </div>
+          ))}
+          {!pendingQuestion && followUps.length > 0 && (
+            <div className="follow-ups">
+              <span className="follow-ups-label">Ask next:</span>
+              {followUps.map(suggestion => (
+                <button key={suggestion} className="follow-up-btn" onClick={() => setQuestion(suggestion)}>
+                  {suggestion}
+                </button>
+              ))}
+            </div>
+          )}
+          {pendingQuestion && (
+            <div className="thread-turn">
+              <p className="thread-question">{pendingQuestion}</p>
+              <div className={`answer ${streamedAnswer ? '' : 'thread-pending'}`}>
+                <p>{streamedAnswer || 'Thinking...'}</p>
+                <ToolCalls calls={pendingToolCalls} />
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
       <form onSubmit={handleSubmit} className="question-form">
         <div className="input-group">
           <input
             type="text"
             value={question}
             onChange={(e) => setQuestion(e.target.value)}
-            placeholder="Ask a question about your health data..."
+            placeholder={activeThread ? 'Ask a follow-up question...' : 'Ask a question about your health data...'}
             className="input"
             disabled={loading || !metrics}
           />
-          <button type="submit" className="submit-btn" disabled={loading || !question.trim() || !metrics}>
-            {loading ? 'Thinking...' : 'Ask'}
-          </button>
+          {loading ? (
+            <button type="button" className="submit-btn cancel-btn" onClick={() => abortRef.current?.abort()}>
+              Cancel
+            </button>
+          ) : (
+            <button type="submit" className="submit-btn" disabled={!question.trim() || !metrics}>
+              Ask
+            </button>
+          )}
         </div>
       </form>
 
@@ -78,36 +229,66 @@ export default function AskAltu() {
           {error}
           {error.includes('API key') && (
             <div className="api-hint">
-              <p>Set your OpenAI API key in a <code>.env</code> file:</p>
-              <code>REACT_APP_OPENAI_API_KEY=your_key_here</code>
+              <p>Set your OpenAI API key in the server's <code>.env</code> file and restart the backend:</p>
+              <code>OPENAI_API_KEY=your_key_here</code>
             </div>
           )}
         </div>
       )}
 
-      {answer && (
-        <div className="answer">
-          <h3>Answer</h3>
-          <p>{answer}</p>
+      {threads.length > 0 && (
+        <div className="history">
+          <div className="history-header">
+            <h3>Saved Threads</h3>
+          </div>
+          {threads.map(thread => (
+            <div
+              key={thread.id}
+              className={`history-item thread-item ${thread.id === activeId ? 'active' : ''}`}
+            >
+              <button
+                className="thread-open"
+                onClick={() => {
+                  setActiveId(thread.id)
+                  setError('')
+                }}
+                disabled={loading}
+              >
+                <span className="thread-title">{thread.title}</span>
+                <span className="thread-meta">
+                  {formatDate(thread.updatedAt.slice(0, 10))} · {thread.turns.length} {thread.turns.length === 1 ? 'question' : 'questions'}
+                </span>
+              </button>
+              <button
+                className="thread-delete"
+                onClick={() => handleDeleteThread(thread)}
+                disabled={loading}
+                aria-label={`Delete ${thread.title}`}
+              >
+                ×
+              </button>
+            </div>
+          ))}
         </div>
       )}
 
-      <div className="examples">
-        <h3>Example Questions</h3>
-        <div className="examples-grid">
-          {examples.map((example, i) => (
-            <button
-              key={i}
-              className="example-btn"
-              onClick={() => setQuestion(example)}
-              disabled={loading}
-            >
-              {example}
-            </button>
-          ))}
+      {starters.length > 0 && (
+        <div className="examples">
+          <h3>Suggested Questions</h3>
+          <div className="examples-grid">
+            {starters.map(example => (
+              <button
+                key={example}
+                className="example-btn"
+                onClick={() => setQuestion(example)}
+                disabled={loading}
+              >
+                {example}
+              </button>
+            ))}
+          </div>
         </div>
-      </div>
+      )}
     </div>
   )
 }
-
@@ -1,68 +1,117 @@
 import { useState, useEffect } from 'react'
-import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts'
-import { loadHealthData, loadScreenTimeData, computeMetrics } from '../utils/data'
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts'
 import ChartQuestionModal from '../components/ChartQuestionModal'
+import AnswerChart from '../components/AnswerChart'
+import ImportDataModal from '../components/ImportDataModal'
+import LogEntryModal from '../components/LogEntryModal'
+import { downloadCSV, healthDataToCSV, screenTimeDataToCSV, metricsToCSV, rangeToCSV } from '../utils/csv'
+import { downloadBackup } from '../utils/storage'
+import { downloadDataFile } from '../utils/schema'
+import { fillDateGaps, GAP_MODES, HEALTH_FIELDS } from '../utils/timeSeries'
+import { addDays, formatDate } from '../utils/dates'
+import { isManualRecord } from '../utils/data'
+import { getPinnedCharts, unpinChart } from '../utils/profiles'
+import { describeChartRange } from '../utils/chartSpec'
 import './Dashboard.css'
 
-export default function Dashboard() {
-  const [healthData, setHealthData] = useState([])
-  const [screenTimeData, setScreenTimeData] = useState([])
-  const [metrics, setMetrics] = useState(null)
-  const [loading, setLoading] = useState(true)
+export default function Dashboard({ profileId, healthData, screenTimeData, metrics, loading, loadError, gapMode, onGapModeChange, onImportHealth, onImportScreenTime, onRestoreBackup, onSaveDay }) {
   const [selectedCategory, setSelectedCategory] = useState('All')
   const [modalOpen, setModalOpen] = useState(false)
-  const [selectedChart, setSelectedChart] = useState({ title: '', context: '' })
+  // Key of the chart being asked about in chartSpecs
+  const [selectedChart, setSelectedChart] = useState(null)
   const [streaksOpen, setStreaksOpen] = useState(false)
   const [expandedChart, setExpandedChart] = useState(null)
   const [customChartOpen, setCustomChartOpen] = useState(false)
   const [selectedColumn1, setSelectedColumn1] = useState('')
   const [selectedColumn2, setSelectedColumn2] = useState('')
   const [notificationsOpen, setNotificationsOpen] = useState(false)
+  const [importOpen, setImportOpen] = useState(false)
+  const [exportOpen, setExportOpen] = useState(false)
+  const [logOpen, setLogOpen] = useState(false)
   const [dayRange, setDayRange] = useState(30)
+  // Charts pinned from Ask Altu answers
+  const [pinnedCharts, setPinnedCharts] = useState(() => getPinnedCharts(profileId))
 
   useEffect(() => {
-    async function fetchData() {
-      try {
-        const [health, screenTime] = await Promise.all([
-          loadHealthData(),
-          loadScreenTimeData(),
-        ])
-        setHealthData(health)
-        setScreenTimeData(screenTime)
-        setMetrics(computeMetrics(health, screenTime))
-      } catch (error) {
-        console.error('Error loading data:', error)
-      } finally {
-        setLoading(false)
-      }
-    }
-    fetchData()
-  }, [])
+    setPinnedCharts(getPinnedCharts(profileId))
+  }, [profileId])
 
   if (loading) {
     return <div className="loading">Loading data...</div>
   }
 
   if (!metrics || healthData.length === 0) {
-    return <div className="loading">No data available</div>
+    return (
+      <div className="loading">
+        No data available
+        {loadError && <div className="load-error">{loadError}</div>}
+        <button className="import-btn" onClick={() => setImportOpen(true)}>
+          Import data
+        </button>
+        <button className="import-btn" onClick={() => setLogOpen(true)}>
+          Log a day
+        </button>
+        <ImportDataModal
+          isOpen={importOpen}
+          onClose={() => setImportOpen(false)}
+          onImportHealth={onImportHealth}
+          onImportScreenTime={onImportScreenTime}
+          onRestoreBackup={onRestoreBackup}
+        />
+        {logOpen && (
+          <LogEntryModal
+            onClose={() => setLogOpen(false)}
+            healthData={healthData}
+            screenTimeData={screenTimeData}
+            onSave={onSaveDay}
+          />
+        )}
+      </div>
+    )
   }
 
   // Prepare chart data based on selected day range
-  const formatDate = (dateStr) => 
-    new Date(dateStr).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+  // The range is calendar days ending at the latest record, so missing days show
+  // up as gaps (or filled points) instead of silently widening the window
+  const healthSeries = fillDateGaps(healthData, HEALTH_FIELDS, { mode: gapMode })
+  const lastDate = healthSeries[healthSeries.length - 1].date
+  const rangeStart = addDays(lastDate, -(dayRange - 1))
+  const rangeSeries = healthSeries.filter(d => d.date >= rangeStart)
 
-  const chartData = healthData.slice(-dayRange).map(d => ({
+  const chartData = rangeSeries.map(d => ({
     date: formatDate(d.date),
     steps: d.steps,
     sleep: d.sleep,
     workout: d.workout,
   }))
+  const healthMarkers = {
+    missing: rangeSeries.filter(d => d.missing).map(d => formatDate(d.date)),
+    manual: rangeSeries.filter(isManualRecord).map(d => formatDate(d.date)),
+  }
 
   // Original screen time chart data (unfiltered)
-  const screenTimeChartData = metrics.screenTime.dailyTotals.slice(-dayRange).map(d => ({
+  const screenTimeSeries = fillDateGaps(metrics.screenTime.dailyTotals, ['total'], { mode: gapMode })
+  const screenTimeLastDate = screenTimeSeries.length ? screenTimeSeries[screenTimeSeries.length - 1].date : lastDate
+  const screenTimeRange = screenTimeSeries.filter(d => d.date >= addDays(screenTimeLastDate, -(dayRange - 1)))
+  const screenTimeChartData = screenTimeRange.map(d => ({
     date: formatDate(d.date),
     minutes: d.total,
   }))
+  const manualScreenTimeDates = new Set(screenTimeData.filter(isManualRecord).map(item => item.date))
+  const screenTimeMarkers = {
+    missing: screenTimeRange.filter(d => d.missing).map(d => formatDate(d.date)),
+    manual: screenTimeRange.filter(d => manualScreenTimeDates.has(d.date)).map(d => formatDate(d.date)),
+  }
+
+  // Vertical markers: grey dashes on days with no recorded data, amber on manually entered days
+  const renderDayMarkers = (markers, yAxisId) => [
+    ...markers.missing.map(label => (
+      <ReferenceLine key={`missing-${label}`} x={label} yAxisId={yAxisId} stroke="#cbd5e1" strokeDasharray="4 4" />
+    )),
+    ...markers.manual.map(label => (
+      <ReferenceLine key={`manual-${label}`} x={label} yAxisId={yAxisId} stroke="#f59e0b" strokeDasharray="2 2" />
+    )),
+  ]
 
   // Get unique categories for filter
   const categories = ['All', ...new Set(screenTimeData.map(item => item.category))].sort()
@@ -106,7 +155,7 @@ export default function Dashboard() {
   }
 
   // Prepare custom chart data
-  const customChartData = selectedColumn1 && selectedColumn2 ? healthData.slice(-dayRange).map(d => {
+  const customChartData = selectedColumn1 && selectedColumn2 ? rangeSeries.map(d => {
     const dataPoint = {
       date: formatDate(d.date),
     }
@@ -136,12 +185,37 @@ export default function Dashboard() {
     return dataPoint
   }) : []
 
+  // Each chart as a spec (see utils/chartSpec.js), so questions about it cover
+  // exactly the series and dates it shows
+  const healthRange = { from: rangeStart, to: lastDate }
+  const customTitle = `${metricLabels[selectedColumn1]} vs ${metricLabels[selectedColumn2]} (Last ${dayRange} Days)`
+  const chartSpecs = {
+    steps: { title: `Steps Over Time (Last ${dayRange} Days)`, series: [{ metric: 'steps' }], range: healthRange },
+    'steps-vs-exercise': { title: `Steps vs Exercise (Last ${dayRange} Days)`, series: [{ metric: 'steps' }, { metric: 'workout' }], range: healthRange },
+    'sleep-vs-exercise': { title: `Sleep vs Exercise (Last ${dayRange} Days)`, series: [{ metric: 'sleep' }, { metric: 'workout' }], range: healthRange },
+    'screen-time': {
+      title: `Daily Screen Time (Last ${dayRange} Days)`,
+      series: [{ metric: 'screenTime' }],
+      range: { from: addDays(screenTimeLastDate, -(dayRange - 1)), to: screenTimeLastDate },
+    },
+    'top-apps': {
+      title: selectedCategory === 'All' ? 'Top Apps by Total Time' : `Top Apps by Total Time (${selectedCategory})`,
+      groupBy: 'app',
+      series: [{ metric: 'screenTime', ...(selectedCategory !== 'All' && { category: selectedCategory }) }],
+      range: null,
+      limit: 8,
+    },
+    ...(selectedColumn1 && selectedColumn2 && {
+      custom: { title: customTitle, series: [{ metric: selectedColumn1 }, { metric: selectedColumn2 }], range: healthRange },
+    }),
+  }
+
   // Generate notifications based on data
   const generateNotifications = () => {
     if (!metrics || !healthData.length) return []
     
     const notifications = []
-    const recentData = healthData.slice(-7)
+    const recentData = healthData.filter(d => d.date >= addDays(lastDate, -6))
     const today = recentData[recentData.length - 1]
     const avgSteps = recentData.reduce((sum, d) => sum + d.steps, 0) / recentData.length
     const avgSleep = recentData.reduce((sum, d) => sum + d.sleep, 0) / recentData.length
@@ -170,7 +244,7 @@ export default function Dashboard() {
     }
 
     // Goal achievement notifications
-    if (today && today.steps >= 10000) {
+    if (today && today.steps >= metrics.goals.steps) {
       notifications.push({
         id: 'steps-goal',
         type: 'success',
@@ -221,6 +295,30 @@ export default function Dashboard() {
 
   const notifications = generateNotifications()
 
+  // CSV exports - raw data, metric rollups and the range currently shown in the charts - plus
+  // versioned JSON data files and a full backup
+  const handleExport = (type) => {
+    if (type === 'health') {
+      downloadCSV('health_daily.csv', healthDataToCSV(healthData))
+    } else if (type === 'screenTime') {
+      downloadCSV('screentime.csv', screenTimeDataToCSV(screenTimeData))
+    } else if (type === 'metrics') {
+      downloadCSV('metrics.csv', metricsToCSV(metrics))
+    } else if (type === 'range') {
+      const rangeData = healthData.filter(d => d.date >= rangeStart)
+      const rangeDates = new Set(rangeData.map(d => d.date))
+      const rangeScreenTime = screenTimeData.filter(item => rangeDates.has(item.date))
+      downloadCSV(`last_${dayRange}_days.csv`, rangeToCSV(rangeData, rangeScreenTime))
+    } else if (type === 'healthJSON') {
+      downloadDataFile('health_daily.json', healthData, 'health')
+    } else if (type === 'screenTimeJSON') {
+      downloadDataFile('screentime.json', screenTimeData, 'screenTime')
+    } else if (type === 'backup') {
+      downloadBackup(profileId).catch(error => console.error('Error creating backup:', error))
+    }
+    setExportOpen(false)
+  }
+
   return (
     <div className="dashboard">
       {/* SVG Gradient for Wellness Ring */}
@@ -236,6 +334,40 @@ export default function Dashboard() {
       
       <div className="dashboard-header">
         <div className="header-right">
+          <button
+            className="import-btn"
+            onClick={() => setLogOpen(true)}
+            title="Add or correct a day by hand"
+          >
+            Log Day
+          </button>
+          <button
+            className="import-btn"
+            onClick={() => setImportOpen(true)}
+            title="Import data"
+          >
+            Import
+          </button>
+          <div className="export-container">
+            <button
+              className="import-btn"
+              onClick={() => setExportOpen(!exportOpen)}
+              title="Export data as CSV"
+            >
+              Export
+            </button>
+            {exportOpen && (
+              <div className="export-dropdown">
+                <button onClick={() => handleExport('health')}>Health data (CSV)</button>
+                <button onClick={() => handleExport('screenTime')}>Screen time data (CSV)</button>
+                <button onClick={() => handleExport('metrics')}>Metrics summary (CSV)</button>
+                <button onClick={() => handleExport('range')}>Last {dayRange} days (CSV)</button>
+                <button onClick={() => handleExport('healthJSON')}>Health data (JSON)</button>
+                <button onClick={() => handleExport('screenTimeJSON')}>Screen time data (JSON)</button>
+                <button onClick={() => handleExport('backup')}>Full backup (JSON)</button>
+              </div>
+            )}
+          </div>
           <div className="notification-container">
             <button 
               className="notification-btn"
@@ -538,7 +670,7 @@ export default function Dashboard() {
               <div className="custom-chart-display">
                 <div className="chart-card">
                   <div className="chart-header">
-                    <h3>{metricLabels[selectedColumn1]} vs {metricLabels[selectedColumn2]} (Last {dayRange} Days)</h3>
+                    <h3>{customTitle}</h3>
                   </div>
                   <div className="chart-wrapper">
                     <ResponsiveContainer width="100%" height={300}>
@@ -549,6 +681,7 @@ export default function Dashboard() {
                         <YAxis yAxisId="right" orientation="right" />
                         <Tooltip />
                         <Legend />
+                        {renderDayMarkers(healthMarkers, 'left')}
                         <Line 
                           yAxisId="left" 
                           type="monotone" 
@@ -567,6 +700,18 @@ export default function Dashboard() {
                         />
                       </LineChart>
                     </ResponsiveContainer>
+                    <button
+                      className="chart-ask-icon"
+                      onClick={() => {
+                        setSelectedChart('custom')
+                        setModalOpen(true)
+                      }}
+                      title="Ask AI about this chart"
+                    >
+                      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M12 2C6.48 2 2 6.48 2 12C2 17.52 6.48 22 12 22C17.52 22 22 17.52 22 12C22 6.48 17.52 2 12 2ZM13 17H11V15H13V17ZM13 13H11V7H13V13Z" fill="currentColor"/>
+                      </svg>
+                    </button>
                   </div>
                 </div>
               </div>
@@ -591,8 +736,32 @@ export default function Dashboard() {
               <option value={30}>Last 30 Days</option>
               <option value={90}>Last 90 Days</option>
             </select>
+            <label htmlFor="gap-mode">Missing Days:</label>
+            <select
+              id="gap-mode"
+              value={gapMode}
+              onChange={(e) => onGapModeChange(e.target.value)}
+              className="day-range-select"
+            >
+              {Object.entries(GAP_MODES).map(([mode, label]) => (
+                <option key={mode} value={mode}>{label}</option>
+              ))}
+            </select>
           </div>
         </div>
+        {healthMarkers.missing.length > 0 && (
+          <p className="missing-days-note">
+            {healthMarkers.missing.length} missing {healthMarkers.missing.length === 1 ? 'day' : 'days'} in this range
+            {gapMode === 'zero' && ', counted as zero'}
+            {gapMode === 'interpolate' && ', estimated from neighbouring days'}
+            {' '}(marked with grey dashed lines)
+          </p>
+        )}
+        {healthMarkers.manual.length > 0 && (
+          <p className="missing-days-note">
+            {healthMarkers.manual.length} manually entered {healthMarkers.manual.length === 1 ? 'day' : 'days'} in this range (marked with amber dashed lines)
+          </p>
+        )}
         <div className="charts">
         <div className="chart-card" onClick={() => setExpandedChart('steps')}>
           <div className="chart-header">
@@ -605,6 +774,7 @@ export default function Dashboard() {
                 <XAxis dataKey="date" angle={-45} textAnchor="end" height={80} />
                 <YAxis />
                 <Tooltip />
+                {renderDayMarkers(healthMarkers)}
                 <Line type="monotone" dataKey="steps" stroke="#007aff" strokeWidth={2} />
               </LineChart>
             </ResponsiveContainer>
@@ -612,7 +782,7 @@ export default function Dashboard() {
               className="chart-ask-icon"
               onClick={(e) => {
                 e.stopPropagation()
-                setSelectedChart({ title: `Steps Over Time (Last ${dayRange} Days)`, context: 'steps' })
+                setSelectedChart('steps')
                 setModalOpen(true)
               }}
               title="Ask AI about this chart"
@@ -637,6 +807,7 @@ export default function Dashboard() {
                 <YAxis yAxisId="right" orientation="right" />
                 <Tooltip />
                 <Legend />
+                {renderDayMarkers(healthMarkers, 'left')}
                 <Line yAxisId="left" type="monotone" dataKey="steps" stroke="#007aff" strokeWidth={2} name="Steps" />
                 <Line yAxisId="right" type="monotone" dataKey="workout" stroke="#34c759" strokeWidth={2} name="Exercise (min)" />
               </LineChart>
@@ -645,7 +816,7 @@ export default function Dashboard() {
               className="chart-ask-icon"
               onClick={(e) => {
                 e.stopPropagation()
-                setSelectedChart({ title: `Steps vs Exercise (Last ${dayRange} Days)`, context: 'steps-vs-exercise' })
+                setSelectedChart('steps-vs-exercise')
                 setModalOpen(true)
               }}
               title="Ask AI about this chart"
@@ -670,6 +841,7 @@ export default function Dashboard() {
                 <YAxis yAxisId="right" orientation="right" />
                 <Tooltip />
                 <Legend />
+                {renderDayMarkers(healthMarkers, 'left')}
                 <Line yAxisId="left" type="monotone" dataKey="sleep" stroke="#5856d6" strokeWidth={2} name="Sleep (min)" />
                 <Line yAxisId="right" type="monotone" dataKey="workout" stroke="#ff9500" strokeWidth={2} name="Exercise (min)" />
               </LineChart>
@@ -678,7 +850,7 @@ export default function Dashboard() {
               className="chart-ask-icon"
               onClick={(e) => {
                 e.stopPropagation()
-                setSelectedChart({ title: `Sleep vs Exercise (Last ${dayRange} Days)`, context: 'sleep-vs-exercise' })
+                setSelectedChart('sleep-vs-exercise')
                 setModalOpen(true)
               }}
               title="Ask AI about this chart"
@@ -701,6 +873,7 @@ export default function Dashboard() {
                 <XAxis dataKey="date" angle={-45} textAnchor="end" height={80} />
                 <YAxis />
                 <Tooltip />
+                {renderDayMarkers(screenTimeMarkers)}
                 <Line type="monotone" dataKey="minutes" stroke="#ff3b30" strokeWidth={2} />
               </LineChart>
             </ResponsiveContainer>
@@ -708,7 +881,7 @@ export default function Dashboard() {
               className="chart-ask-icon"
               onClick={(e) => {
                 e.stopPropagation()
-                setSelectedChart({ title: `Daily Screen Time (Last ${dayRange} Days)`, context: 'screen-time' })
+                setSelectedChart('screen-time')
                 setModalOpen(true)
               }}
               title="Ask AI about this chart"
@@ -757,7 +930,7 @@ export default function Dashboard() {
               className="chart-ask-icon"
               onClick={(e) => {
                 e.stopPropagation()
-                setSelectedChart({ title: 'Top Apps by Total Time', context: 'top-apps' })
+                setSelectedChart('top-apps')
                 setModalOpen(true)
               }}
               title="Ask AI about this chart"
@@ -771,17 +944,67 @@ export default function Dashboard() {
         </div>
       </div>
 
+      {/* Charts pinned from Ask Altu */}
+      {pinnedCharts.length > 0 && (
+        <div className="charts-section">
+          <div className="charts-header">
+            <h3 className="charts-title">Pinned Charts</h3>
+          </div>
+          <div className="charts">
+            {pinnedCharts.map(pinned => (
+              <div key={pinned.id} className="chart-card pinned-chart">
+                <div className="chart-header-with-filter">
+                  <div className="chart-header">
+                    <h3>{pinned.spec.title}</h3>
+                    <p className="pinned-chart-meta">{describeChartRange(pinned.spec.range)} · Asked: {pinned.question}</p>
+                  </div>
+                  <button
+                    className="pinned-chart-unpin"
+                    onClick={() => setPinnedCharts(unpinChart(profileId, pinned.id))}
+                    title="Unpin this chart"
+                    aria-label={`Unpin ${pinned.spec.title}`}
+                  >
+                    ×
+                  </button>
+                </div>
+                <div className="chart-wrapper">
+                  <AnswerChart spec={pinned.spec} healthData={healthData} screenTimeData={screenTimeData} />
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Chart Question Modal */}
       <ChartQuestionModal
         isOpen={modalOpen}
         onClose={() => setModalOpen(false)}
-        chartTitle={selectedChart.title}
-        chartContext={selectedChart.context}
+        chart={chartSpecs[selectedChart]}
         healthData={healthData}
         screenTimeData={screenTimeData}
         metrics={metrics}
       />
 
+      {/* Import Data Modal */}
+      <ImportDataModal
+        isOpen={importOpen}
+        onClose={() => setImportOpen(false)}
+        onImportHealth={onImportHealth}
+        onImportScreenTime={onImportScreenTime}
+        onRestoreBackup={onRestoreBackup}
+      />
+
+      {/* Manual Log Entry Modal */}
+      {logOpen && (
+        <LogEntryModal
+          onClose={() => setLogOpen(false)}
+          healthData={healthData}
+          screenTimeData={screenTimeData}
+          onSave={onSaveDay}
+        />
+      )}
+
       {/* Expanded Chart Modal */}
       {expandedChart && (
         <div className="expanded-chart-overlay" onClick={() => setExpandedChart(null)}>
@@ -796,6 +1019,7 @@ export default function Dashboard() {
                     <XAxis dataKey="date" angle={-45} textAnchor="end" height={80} />
                     <YAxis />
                     <Tooltip />
+                    {renderDayMarkers(healthMarkers)}
                     <Line type="monotone" dataKey="steps" stroke="#007aff" strokeWidth={2} />
                   </LineChart>
                 </ResponsiveContainer>
@@ -812,6 +1036,7 @@ export default function Dashboard() {
                     <YAxis yAxisId="right" orientation="right" />
                     <Tooltip />
                     <Legend />
+                    {renderDayMarkers(healthMarkers, 'left')}
                     <Line yAxisId="left" type="monotone" dataKey="steps" stroke="#007aff" strokeWidth={2} name="Steps" />
                     <Line yAxisId="right" type="monotone" dataKey="workout" stroke="#34c759" strokeWidth={2} name="Exercise (min)" />
                   </LineChart>
@@ -829,6 +1054,7 @@ export default function Dashboard() {
                     <YAxis yAxisId="right" orientation="right" />
                     <Tooltip />
                     <Legend />
+                    {renderDayMarkers(healthMarkers, 'left')}
                     <Line yAxisId="left" type="monotone" dataKey="sleep" stroke="#5856d6" strokeWidth={2} name="Sleep (min)" />
                     <Line yAxisId="right" type="monotone" dataKey="workout" stroke="#ff9500" strokeWidth={2} name="Exercise (min)" />
                   </LineChart>
@@ -844,6 +1070,7 @@ export default function Dashboard() {
                     <XAxis dataKey="date" angle={-45} textAnchor="end" height={80} />
                     <YAxis />
                     <Tooltip />
+                    {renderDayMarkers(screenTimeMarkers)}
                     <Line type="monotone" dataKey="minutes" stroke="#ff3b30" strokeWidth={2} />
                   </LineChart>
                 </ResponsiveContainer>
@@ -0,0 +1,141 @@
+// Apple Health export importer - streams export.xml (or the export zip) and
+// rolls records up into daily totals in the health_daily.json shape
+import { listZipEntries, openZipEntry } from './zip.js'
+
+export const APPLE_HEALTH_SOURCE = 'apple-health'
+
+const STEPS_TYPE = 'HKQuantityTypeIdentifierStepCount'
+const ENERGY_TYPE = 'HKQuantityTypeIdentifierActiveEnergyBurned'
+const SLEEP_TYPE = 'HKCategoryTypeIdentifierSleepAnalysis'
+
+// Only actual sleep counts - "InBed" and "Awake" samples are skipped
+const ASLEEP_VALUES = new Set([
+  'HKCategoryValueSleepAnalysisAsleep',
+  'HKCategoryValueSleepAnalysisAsleepUnspecified',
+  'HKCategoryValueSleepAnalysisAsleepCore',
+  'HKCategoryValueSleepAnalysisAsleepDeep',
+  'HKCategoryValueSleepAnalysisAsleepREM',
+])
+
+const TAG_PATTERN = /<(Record|Workout)\s[^>]*>/g
+const ATTRIBUTE_PATTERN = /(\w+)="([^"]*)"/g
+
+function parseAttributes(tag) {
+  const attributes = {}
+  let match
+  ATTRIBUTE_PATTERN.lastIndex = 0
+  while ((match = ATTRIBUTE_PATTERN.exec(tag))) {
+    attributes[match[1]] = match[2]
+  }
+  return attributes
+}
+
+// Apple writes dates as "2025-09-02 07:50:00 -0700" in the device's local time,
+// so the first 10 characters are already the calendar day the user lived
+const localDay = (appleDate) => appleDate.slice(0, 10)
+
+function toTimestamp(appleDate) {
+  const [day, time, offset] = appleDate.split(' ')
+  return Date.parse(`${day}T${time}${offset.slice(0, 3)}:${offset.slice(3)}`)
+}
+
+function toKcal(value, unit) {
+  return unit === 'kJ' ? value / 4.184 : value
+}
+
+function toMinutes(value, unit) {
+  if (unit === 's') return value / 60
+  if (unit === 'hr') return value * 60
+  return value
+}
+
+function getDay(days, date) {
+  if (!days[date]) {
+    days[date] = { steps: {}, energy: {}, sleep: {}, workout: 0 }
+  }
+  return days[date]
+}
+
+function addBySource(totals, source, amount) {
+  totals[source] = (totals[source] || 0) + amount
+}
+
+function handleTag(name, attributes, days) {
+  if (name === 'Workout') {
+    if (!attributes.startDate) return
+    const minutes = attributes.duration
+      ? toMinutes(Number(attributes.duration), attributes.durationUnit)
+      : (toTimestamp(attributes.endDate) - toTimestamp(attributes.startDate)) / 60000
+    getDay(days, localDay(attributes.startDate)).workout += minutes
+    return
+  }
+
+  const source = attributes.sourceName || 'unknown'
+  if (attributes.type === STEPS_TYPE) {
+    addBySource(getDay(days, localDay(attributes.startDate)).steps, source, Number(attributes.value))
+  } else if (attributes.type === ENERGY_TYPE) {
+    const kcal = toKcal(Number(attributes.value), attributes.unit)
+    addBySource(getDay(days, localDay(attributes.startDate)).energy, source, kcal)
+  } else if (attributes.type === SLEEP_TYPE && ASLEEP_VALUES.has(attributes.value)) {
+    // Sleep is credited to the day the user woke up
+    const minutes = (toTimestamp(attributes.endDate) - toTimestamp(attributes.startDate)) / 60000
+    addBySource(getDay(days, localDay(attributes.endDate)).sleep, source, minutes)
+  }
+}
+
+// iPhone and Watch both record steps/energy/sleep for the same period. Summing
+// them double counts, so take the most complete single source for each day
+const bestSource = (totals) => Math.max(0, ...Object.values(totals))
+
+async function scanStream(stream, totalBytes, onProgress) {
+  const days = {}
+  const reader = stream.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  let bytesRead = 0
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+
+    bytesRead += value.byteLength
+    buffer += decoder.decode(value, { stream: true })
+
+    let consumed = 0
+    let match
+    TAG_PATTERN.lastIndex = 0
+    while ((match = TAG_PATTERN.exec(buffer))) {
+      handleTag(match[1], parseAttributes(match[0]), days)
+      consumed = TAG_PATTERN.lastIndex
+    }
+    // Keep only a possibly incomplete tag at the end of the chunk
+    buffer = buffer.slice(Math.max(consumed, buffer.lastIndexOf('<')))
+
+    if (onProgress && totalBytes) {
+      onProgress(Math.min(1, bytesRead / totalBytes))
+    }
+  }
+
+  return Object.entries(days)
+    .map(([date, day]) => ({
+      date,
+      steps: Math.round(bestSource(day.steps)),
+      sleep_minutes: Math.round(bestSource(day.sleep)),
+      active_energy_kcal: Math.round(bestSource(day.energy)),
+      workout_minutes: Math.round(day.workout),
+      source: APPLE_HEALTH_SOURCE,
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date))
+}
+
+export const isAppleHealthExportFile = (name) => /(^|\/)export\.xml$/.test(name)
+
+export async function parseAppleHealthExport(file, { onProgress } = {}) {
+  if (file.name.toLowerCase().endsWith('.zip')) {
+    const entries = await listZipEntries(file)
+    const entry = entries.find(e => isAppleHealthExportFile(e.name))
+    if (!entry) throw new Error('No export.xml found in the zip file')
+    return scanStream(await openZipEntry(file, entry), entry.size, onProgress)
+  }
+  return scanStream(file.stream(), file.size, onProgress)
+}
@@ -0,0 +1,190 @@
+// Charts in Ask Altu answers. The model (the show_chart tool, see server/tools.js)
+// or the rule engine describes a chart as a spec, which the server checks with
+// normalizeChartSpec and the browser draws from the loaded data - so a chart pinned
+// to the Dashboard keeps up with later imports. A spec is
+//
+//   {
+//     type: 'line' | 'bar',
+//     title: 'Sleep on workout vs rest days',
+//     groupBy: 'day' | 'workout' | 'weekday-weekend' | 'app' | 'category',
+//     series: [{ metric: 'sleep' }, { metric: 'screenTime', app: 'YouTube' }],
+//     range: { from: '2025-09-01', to: null } | null,
+//     limit: 8,                     // 'app' and 'category' only
+//   }
+//
+// 'day' has a point per day; 'workout' and 'weekday-weekend' a bar for the daily
+// average on each kind of day; 'app' and 'category' total screen time per app or
+// category, the largest `limit` of them. There are one or two series (only one,
+// screen time, for 'app' and 'category'); either end of the range may be open,
+// and null is all the data.
+//
+// The Dashboard describes its own charts the same way, so questions about a chart
+// are asked about exactly what it shows
+import { isCalendarDate, isWeekend, formatDate } from './dates.js'
+
+export const CHART_METRICS = {
+  steps: { name: 'Steps', label: 'Steps', color: '#007aff' },
+  sleep: { name: 'Sleep', label: 'Sleep (min)', color: '#5856d6' },
+  energy: { name: 'Active energy', label: 'Energy (kcal)', color: '#ff9500' },
+  workout: { name: 'Workout time', label: 'Workout (min)', color: '#34c759' },
+  screenTime: { name: 'Screen time', label: 'Screen Time (min)', color: '#ff3b30' },
+}
+
+export const CHART_TYPES = ['line', 'bar']
+
+export const CHART_GROUPS = ['day', 'workout', 'weekday-weekend', 'app', 'category']
+
+// Apps or categories shown in a ranking chart
+const MAX_BARS = 10
+
+const MAX_TITLE_LENGTH = 100
+
+const average = (values) => Math.round(values.reduce((sum, v) => sum + v, 0) / values.length)
+
+const inRange = (date, range) => !range || ((!range.from || date >= range.from) && (!range.to || date <= range.to))
+
+function normalizeSeries(series, groupBy) {
+  if (!Array.isArray(series) || !series.length) throw new Error('A chart needs at least one series')
+  if (series.length > 2) throw new Error('A chart has at most two series')
+  return series.map(({ metric, app, category }) => {
+    if (!CHART_METRICS[metric]) throw new Error(`Unknown chart metric "${metric}"`)
+    if ((app || category) && metric !== 'screenTime') throw new Error('app and category only apply to screenTime')
+    if (['app', 'category'].includes(groupBy) && (metric !== 'screenTime' || series.length > 1 || app)) {
+      throw new Error(`A chart by ${groupBy} shows screen time only`)
+    }
+    return { metric, ...(app && { app: String(app) }), ...(category && { category: String(category) }) }
+  })
+}
+
+function normalizeRange(range) {
+  if (!range || (!range.from && !range.to)) return null
+  const { from = null, to = null } = range
+  if ((from && !isCalendarDate(from)) || (to && !isCalendarDate(to))) throw new Error('Chart dates must be in YYYY-MM-DD format')
+  if (from && to && from > to) throw new Error('The chart range ends before it starts')
+  return { from, to }
+}
+
+// Checks a spec and fills in the defaults. Throws an Error saying what is wrong
+export function normalizeChartSpec({ type, title, groupBy = 'day', series, range, limit = MAX_BARS } = {}) {
+  if (typeof title !== 'string' || !title.trim()) throw new Error('A chart needs a title')
+  if (!CHART_GROUPS.includes(groupBy)) throw new Error(`groupBy must be one of ${CHART_GROUPS.join(', ')}`)
+  if (type !== undefined && !CHART_TYPES.includes(type)) throw new Error(`type must be one of ${CHART_TYPES.join(', ')}`)
+  const ranking = groupBy === 'app' || groupBy === 'category'
+  if (ranking && !(Number.isInteger(limit) && limit >= 1 && limit <= MAX_BARS)) throw new Error(`limit must be a whole number from 1 to ${MAX_BARS}`)
+  return {
+    // Only days are drawn as lines; everything else is a bar per group
+    type: groupBy === 'day' ? type || 'line' : 'bar',
+    title: title.trim().slice(0, MAX_TITLE_LENGTH),
+    groupBy,
+    series: normalizeSeries(series, groupBy),
+    range: normalizeRange(range),
+    ...(ranking && { limit }),
+  }
+}
+
+// The series' value per day in the range, as a Map from date to value
+function dailySeries({ metric, app, category }, { healthData, screenTimeData }, range) {
+  const values = new Map()
+  if (metric !== 'screenTime') {
+    healthData.forEach(d => {
+      if (inRange(d.date, range)) values.set(d.date, d[metric])
+    })
+    return values
+  }
+  screenTimeData.forEach(item => {
+    if (!inRange(item.date, range)) return
+    if (app && item.app.toLowerCase() !== app.toLowerCase()) return
+    if (category && item.category !== category) return
+    values.set(item.date, (values.get(item.date) || 0) + item.minutes)
+  })
+  return values
+}
+
+function seriesLabel({ metric, app, category }) {
+  if (app) return `${app} (min)`
+  if (category) return `${category} (min)`
+  return CHART_METRICS[metric].label
+}
+
+// Daily averages on two kinds of day, e.g. workout days against rest days
+function averageBy(series, data, range, groups) {
+  const values = series.map(s => dailySeries(s, data, range))
+  return groups.map(({ label, includes }) => {
+    const row = { label }
+    values.forEach((byDate, i) => {
+      const matching = [...byDate].filter(([date]) => includes(date)).map(([, value]) => value)
+      row[`s${i}`] = matching.length ? average(matching) : null
+    })
+    return row
+  })
+}
+
+// The records a chart is drawn from: the days in its range and, when its screen
+// time is one category's, only that category's apps
+export function chartRecords({ series, range }, { healthData, screenTimeData }) {
+  const { category } = series.find(s => s.metric === 'screenTime') || {}
+  return {
+    healthData: healthData.filter(d => inRange(d.date, range)),
+    screenTimeData: screenTimeData.filter(item => inRange(item.date, range) && (!category || item.category === category)),
+  }
+}
+
+// Every app or category in the range with its total minutes, largest first
+export function rankTotals(key, { category }, { screenTimeData }, range) {
+  const totals = {}
+  screenTimeData.forEach(item => {
+    if (!inRange(item.date, range) || (category && item.category !== category)) return
+    totals[item[key]] = (totals[item[key]] || 0) + item.minutes
+  })
+  return Object.entries(totals)
+    .sort((a, b) => b[1] - a[1])
+    .map(([label, minutes]) => ({ label, s0: minutes }))
+}
+
+// The rows to draw, keyed s0 and s1 for the series plus label for the x axis, and
+// how to draw each series. data is { healthData, screenTimeData }
+export function buildChartData(spec, data) {
+  const { groupBy, series, range, limit = MAX_BARS } = spec
+  const lines = series.map((s, i) => ({
+    key: `s${i}`,
+    label: seriesLabel(s),
+    // The second series of the same metric (two apps) gets the next metric's colour
+    color: i && s.metric === series[0].metric ? CHART_METRICS.workout.color : CHART_METRICS[s.metric].color,
+  }))
+
+  let rows
+  if (groupBy === 'app' || groupBy === 'category') {
+    rows = rankTotals(groupBy, series[0], data, range).slice(0, limit)
+  } else if (groupBy === 'workout') {
+    const workoutDays = new Set(data.healthData.filter(d => d.workout > 0).map(d => d.date))
+    const recorded = new Set(data.healthData.map(d => d.date))
+    rows = averageBy(series, data, range, [
+      { label: 'Workout days', includes: (date) => workoutDays.has(date) },
+      { label: 'Rest days', includes: (date) => recorded.has(date) && !workoutDays.has(date) },
+    ])
+  } else if (groupBy === 'weekday-weekend') {
+    rows = averageBy(series, data, range, [
+      { label: 'Weekdays', includes: (date) => !isWeekend(date) },
+      { label: 'Weekends', includes: isWeekend },
+    ])
+  } else {
+    const values = series.map(s => dailySeries(s, data, range))
+    const dates = [...new Set(values.flatMap(byDate => [...byDate.keys()]))].sort()
+    rows = dates.map(date => {
+      const row = { label: formatDate(date), date }
+      values.forEach((byDate, i) => {
+        row[`s${i}`] = byDate.has(date) ? byDate.get(date) : null
+      })
+      return row
+    })
+  }
+  return { rows, series: lines }
+}
+
+// The dates a chart covers, for its caption: "Oct 1 - Oct 31", "From Sep 15",
+// "Until Oct 1" or "All data"
+export function describeChartRange(range) {
+  if (!range) return 'All data'
+  if (range.from && range.to) return `${formatDate(range.from)} - ${formatDate(range.to)}`
+  return range.from ? `From ${formatDate(range.from)}` : `Until ${formatDate(range.to)}`
+}
@@ -0,0 +1,171 @@
+// CSV import/export for health and screen time data
+import { transformHealthData, transformScreenTimeData } from './data.js'
+import { downloadFile } from './download.js'
+
+// Columns use the same names as health_daily.json / screentime.json
+export const HEALTH_COLUMNS = ['date', 'steps', 'sleep_minutes', 'active_energy_kcal', 'workout_minutes']
+export const SCREEN_TIME_COLUMNS = ['date', 'app', 'minutes', 'category']
+
+const NUMERIC_COLUMNS = new Set(['steps', 'sleep_minutes', 'active_energy_kcal', 'workout_minutes', 'minutes'])
+
+// Header names we recognise for each column when guessing the mapping
+const COLUMN_ALIASES = {
+  date: ['date', 'day'],
+  steps: ['steps', 'step count', 'step_count'],
+  sleep_minutes: ['sleep_minutes', 'sleep', 'sleep (min)', 'sleep minutes'],
+  active_energy_kcal: ['active_energy_kcal', 'energy', 'active energy', 'active energy (kcal)', 'calories', 'kcal'],
+  workout_minutes: ['workout_minutes', 'workout', 'workout (min)', 'exercise', 'exercise minutes'],
+  app: ['app', 'app name', 'application'],
+  minutes: ['minutes', 'duration', 'screen time', 'time (min)'],
+  category: ['category', 'app category'],
+}
+
+// Parses CSV text into an array of rows (arrays of strings), handling quoted fields
+export function parseCSV(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field || row.length) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  // Drop blank lines (including a UTF-8 BOM-only first line from Excel)
+  return rows.filter(r => r.some(cell => cell.replace('\uFEFF', '').trim() !== ''))
+}
+
+export async function readCSVFile(file) {
+  const [headerRow, ...rows] = parseCSV(await file.text())
+  if (!headerRow) throw new Error('The CSV file is empty')
+  return { headers: headerRow.map(h => h.replace('\uFEFF', '').trim()), rows }
+}
+
+// Maps each column to the index of a matching header, or -1 when none matches
+export function guessColumnMapping(headers, columns) {
+  const normalized = headers.map(h => h.toLowerCase())
+  const mapping = {}
+  columns.forEach(column => {
+    mapping[column] = normalized.findIndex(h => COLUMN_ALIASES[column].includes(h))
+  })
+  return mapping
+}
+
+function rowsFromTable(table, mapping, columns) {
+  const missing = columns.filter(column => !(mapping[column] >= 0))
+  if (missing.length) {
+    throw new Error(`Please choose a CSV column for: ${missing.join(', ')}`)
+  }
+
+  return table.rows.map(row => {
+    const record = {}
+    columns.forEach(column => {
+      const value = (row[mapping[column]] || '').trim()
+      if (NUMERIC_COLUMNS.has(column)) {
+        // Non-numeric cells become NaN and are reported by validation
+        record[column] = value === '' ? null : Number(value)
+      } else {
+        record[column] = value
+      }
+    })
+    return record
+  })
+}
+
+export function healthDataFromCSV(table, mapping) {
+  return transformHealthData(rowsFromTable(table, mapping, HEALTH_COLUMNS))
+}
+
+export function screenTimeDataFromCSV(table, mapping) {
+  return transformScreenTimeData(rowsFromTable(table, mapping, SCREEN_TIME_COLUMNS))
+}
+
+const escapeCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function toCSV(columns, rows) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(escapeCell).join(','))
+    .join('\n')
+}
+
+export function healthDataToCSV(healthData) {
+  return toCSV(HEALTH_COLUMNS, healthData.map(d => ({
+    date: d.date,
+    steps: d.steps,
+    sleep_minutes: d.sleep,
+    active_energy_kcal: d.energy,
+    workout_minutes: d.workout,
+  })))
+}
+
+export function screenTimeDataToCSV(screenTimeData) {
+  return toCSV(SCREEN_TIME_COLUMNS, screenTimeData)
+}
+
+// Flattens the computeMetrics rollups into section/name/value rows
+export function metricsToCSV(metrics) {
+  const rows = []
+  const add = (section, name, value) => rows.push({ section, name, value })
+
+  Object.entries(metrics.health).forEach(([name, value]) => add('health', name, value))
+  add('screenTime', 'avgDaily', metrics.screenTime.avgDaily)
+  metrics.screenTime.topApps.forEach(a => add('topApps', a.app, a.minutes))
+  metrics.screenTime.topCategories.forEach(c => add('topCategories', c.category, c.minutes))
+  metrics.screenTime.dailyTotals.forEach(d => add('dailyScreenTime', d.date, d.total))
+  Object.entries(metrics.wellness).forEach(([name, value]) => add('wellness', name, Math.round(value)))
+  Object.entries(metrics.streaks.current).forEach(([name, value]) => add('currentStreak', name, value))
+  Object.entries(metrics.streaks.best).forEach(([name, value]) => add('bestStreak', name, value))
+
+  return toCSV(['section', 'name', 'value'], rows)
+}
+
+// One row per day in the given health records, with that day's total screen time
+export function rangeToCSV(healthData, screenTimeData) {
+  const screenTimeByDate = {}
+  screenTimeData.forEach(item => {
+    screenTimeByDate[item.date] = (screenTimeByDate[item.date] || 0) + item.minutes
+  })
+
+  return toCSV([...HEALTH_COLUMNS, 'screen_time_minutes'], healthData.map(d => ({
+    date: d.date,
+    steps: d.steps,
+    sleep_minutes: d.sleep,
+    active_energy_kcal: d.energy,
+    workout_minutes: d.workout,
+    screen_time_minutes: screenTimeByDate[d.date] || 0,
+  })))
+}
+
+export function downloadCSV(filename, csv) {
+  downloadFile(filename, csv, 'text/csv;charset=utf-8')
+}
@@ -1,58 +1,182 @@
-// Data loading utility - loads data directly from public folder (in-memory)
-const transformHealthData = (data) => data.map(item => ({
-  date: item.date,
-  steps: item.steps,
-  sleep: item.sleep_minutes,
-  energy: item.active_energy_kcal,
-  workout: item.workout_minutes,
-}))
-
-const transformScreenTimeData = (data) => data.map(item => ({
-  date: item.date,
-  app: item.app,
-  minutes: item.minutes,
-  category: item.category,
-}))
+// Reading, importing, merging and summarizing health and screen time records. The
+// app reads each profile's records from IndexedDB (see storage.js); the loaders
+// here fetch the bundled files in public/ that the default profile is seeded from
+import { parseAppleHealthExport, isAppleHealthExportFile, APPLE_HEALTH_SOURCE } from './appleHealth.js'
+import { parseGoogleFitDailyMetrics, isGoogleFitDailyFile, GOOGLE_FIT_SOURCE } from './googleFit.js'
+import { parseFitbitExport, isFitbitFile, FITBIT_SOURCE } from './fitbit.js'
+import { listZipEntries, readZipEntryText } from './zip.js'
+import { fillDateGaps, HEALTH_FIELDS } from './timeSeries.js'
+import { addDays, dateRange } from './dates.js'
+import { readDataFile } from './schema.js'
 
+// Records without a source came from the bundled files or a CSV/JSON import
+export const OTHER_SOURCE = 'other'
+
+// Days and screen time entries typed in or corrected by hand
+export const MANUAL_SOURCE = 'manual'
+
+export const isManualRecord = (record) => record.source === MANUAL_SOURCE
+
+export const SOURCE_LABELS = {
+  [MANUAL_SOURCE]: 'Manual entries',
+  [APPLE_HEALTH_SOURCE]: 'Apple Health',
+  [FITBIT_SOURCE]: 'Fitbit',
+  [GOOGLE_FIT_SOURCE]: 'Google Fit',
+  [OTHER_SOURCE]: 'Other imports',
+}
+
+// Manual corrections come first so a later import doesn't undo them
+export const DEFAULT_SOURCE_PRIORITY = [MANUAL_SOURCE, APPLE_HEALTH_SOURCE, FITBIT_SOURCE, GOOGLE_FIT_SOURCE, OTHER_SOURCE]
+
+// Rows in the original (schema version 0) file shape, as produced by the importers
+export const transformHealthData = (data) => readDataFile(data, 'health')
+
+export const transformScreenTimeData = (data) => readDataFile(data, 'screenTime')
+
+// Loaders throw so the caller can tell the user what went wrong instead of showing no data.
+// Files may be any schema version - see schema.js
 export async function loadHealthData() {
-  try {
-    const response = await fetch('/health_daily.json')
-    if (!response.ok) throw new Error('Failed to load health data')
-    return transformHealthData(await response.json())
-  } catch (error) {
-    console.error('Error loading health data:', error)
-    return []
-  }
+  const response = await fetch('/health_daily.json')
+  if (!response.ok) throw new Error(`Failed to load health data (HTTP ${response.status})`)
+  return readDataFile(await response.json(), 'health', 'health_daily.json')
 }
 
 export async function loadScreenTimeData() {
+  const response = await fetch('/screentime.json')
+  if (!response.ok) throw new Error(`Failed to load screen time data (HTTP ${response.status})`)
+  return readDataFile(await response.json(), 'screenTime', 'screentime.json')
+}
+
+// Reads a file in the health_daily.json / screentime.json format, any schema version
+export async function importJSONFile(file, dataset) {
+  let data
   try {
-    const response = await fetch('/screentime.json')
-    if (!response.ok) throw new Error('Failed to load screen time data')
-    return transformScreenTimeData(await response.json())
+    data = JSON.parse(await file.text())
   } catch (error) {
-    console.error('Error loading screen time data:', error)
-    return []
+    throw new Error(`${file.name} is not valid JSON: ${error.message}`)
   }
+  return readDataFile(data, dataset, file.name)
 }
 
-export function computeMetrics(healthData, screenTimeData) {
-  if (!healthData.length || !screenTimeData.length) {
+// Import fitness exports into daily health records. Accepts any mix of Apple Health
+// export.xml/zip, Google Takeout Fit daily metrics (CSV or takeout zip) and Fitbit
+// export JSON files (or the Fitbit export zip)
+export async function importHealthFiles(files, { onProgress } = {}) {
+  const rows = []
+  const fitbitFiles = []
+
+  for (const file of files) {
+    const name = file.name.toLowerCase()
+    if (name.endsWith('.xml')) {
+      rows.push(...await parseAppleHealthExport(file, { onProgress }))
+    } else if (name.endsWith('.zip')) {
+      const entries = await listZipEntries(file)
+      if (entries.some(e => isAppleHealthExportFile(e.name))) {
+        rows.push(...await parseAppleHealthExport(file, { onProgress }))
+        continue
+      }
+      for (const entry of entries) {
+        if (isGoogleFitDailyFile(entry.name)) {
+          rows.push(...parseGoogleFitDailyMetrics(await readZipEntryText(file, entry)))
+        } else if (isFitbitFile(entry.name)) {
+          fitbitFiles.push({ name: entry.name, text: await readZipEntryText(file, entry) })
+        }
+      }
+    } else if (name.endsWith('.csv')) {
+      rows.push(...parseGoogleFitDailyMetrics(await file.text()))
+    } else if (isFitbitFile(file.name)) {
+      fitbitFiles.push({ name: file.name, text: await file.text() })
+    } else {
+      throw new Error(`Unsupported file: ${file.name}`)
+    }
+  }
+  if (fitbitFiles.length) rows.push(...parseFitbitExport(fitbitFiles))
+
+  if (!rows.length) throw new Error('No step, sleep, energy or workout records found in the selected files')
+  return transformHealthData(rows)
+}
+
+const sourceRank = (record, priority) => {
+  const rank = priority.indexOf(record.source || OTHER_SOURCE)
+  return rank === -1 ? priority.length : rank
+}
+
+// Keeps one record per date, taking the one from the highest priority source
+export function resolveSourcePriority(records, priority = DEFAULT_SOURCE_PRIORITY) {
+  const byDate = new Map()
+  records.forEach(record => {
+    const current = byDate.get(record.date)
+    if (!current || sourceRank(record, priority) < sourceRank(current, priority)) {
+      byDate.set(record.date, record)
+    }
+  })
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date))
+}
+
+// Incoming records win when a date is already present, unless the existing record
+// comes from a source the user ranked higher
+export function mergeHealthData(existing, incoming, priority = DEFAULT_SOURCE_PRIORITY) {
+  const byDate = new Map(existing.map(d => [d.date, d]))
+  incoming.forEach(d => {
+    const current = byDate.get(d.date)
+    if (!current || sourceRank(d, priority) <= sourceRank(current, priority)) {
+      byDate.set(d.date, d)
+    }
+  })
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date))
+}
+
+// Screen time entries are unique per date and app. Imports never overwrite a manual entry
+export function mergeScreenTimeData(existing, incoming) {
+  const byKey = new Map(existing.map(item => [`${item.date}|${item.app}`, item]))
+  incoming.forEach(item => {
+    const key = `${item.date}|${item.app}`
+    const current = byKey.get(key)
+    if (!current || !isManualRecord(current) || isManualRecord(item)) {
+      byKey.set(key, item)
+    }
+  })
+  return [...byKey.values()].sort((a, b) => a.date.localeCompare(b.date))
+}
+
+// Daily targets used for the wellness score. Each profile can set its own
+export const DEFAULT_GOALS = {
+  steps: 10000,
+  sleep: 480, // 8 hours in minutes
+  workout: 30, // 30 minutes per day
+  screenTime: 240, // 4 hours in minutes
+}
+
+// gapMode controls how calendar days without a health record are treated - see GAP_MODES.
+// A profile may have health data and no screen time yet (e.g. right after an Apple
+// Health import); the screen time figures are then empty and left out of the score
+export function computeMetrics(healthData, screenTimeData, { gapMode = 'gaps', goals = DEFAULT_GOALS } = {}) {
+  if (!healthData.length) {
     return {
-      health: { avgSteps: 0, avgSleep: 0, avgEnergy: 0, avgWorkout: 0, workoutDays: 0 },
+      goals,
+      health: { avgSteps: 0, avgSleep: 0, avgEnergy: 0, avgWorkout: 0, workoutDays: 0, totalDays: 0, calendarDays: 0, missingDays: 0 },
       screenTime: { topApps: [], topCategories: [], dailyTotals: [], avgDaily: 0 },
       wellness: { score: 0, stepsScore: 0, sleepScore: 0, workoutScore: 0, screenTimeScore: 0, weeklyScore: 0, weeklyChange: 0 },
       streaks: { current: { workout: 0, sleep: 0, steps: 0 }, best: { workout: 0, sleep: 0, steps: 0 } }
     }
   }
 
+  // One point per calendar day between the first and last record. Missing days are
+  // null (left out of averages), 0 or interpolated depending on gapMode
+  const series = fillDateGaps(healthData, HEALTH_FIELDS, { mode: gapMode })
+  const countedDays = series.filter(d => d.steps !== null)
+  const lastDate = series[series.length - 1].date
+  const calendarDays = series.length
+  const missingDays = series.filter(d => d.missing).length
+
   // Health metrics
-  const totalDays = healthData.length
-  const avgSteps = Math.round(healthData.reduce((sum, d) => sum + d.steps, 0) / totalDays)
-  const avgSleep = Math.round(healthData.reduce((sum, d) => sum + d.sleep, 0) / totalDays)
-  const avgEnergy = Math.round(healthData.reduce((sum, d) => sum + d.energy, 0) / totalDays)
-  const avgWorkout = Math.round(healthData.reduce((sum, d) => sum + d.workout, 0) / totalDays)
-  const workoutDays = healthData.filter(d => d.workout > 0).length
+  const totalDays = countedDays.length
+  const avgSteps = Math.round(countedDays.reduce((sum, d) => sum + d.steps, 0) / totalDays)
+  const avgSleep = Math.round(countedDays.reduce((sum, d) => sum + d.sleep, 0) / totalDays)
+  const avgEnergy = Math.round(countedDays.reduce((sum, d) => sum + d.energy, 0) / totalDays)
+  const avgWorkout = Math.round(countedDays.reduce((sum, d) => sum + d.workout, 0) / totalDays)
+  // Only recorded days count as workout days, whatever gapMode filled in
+  const workoutDays = countedDays.filter(d => !d.missing && d.workout > 0).length
 
   // Screen time metrics
   const appTotals = {}
@@ -78,17 +202,18 @@ export function computeMetrics(healthData, screenTimeData) {
     .map(([date, total]) => ({ date, total }))
     .sort((a, b) => a.date.localeCompare(b.date))
 
-  const avgDaily = Math.round(
-    dailyTotalsArray.reduce((sum, d) => sum + d.total, 0) / dailyTotalsArray.length
-  )
+  const hasScreenTime = dailyTotalsArray.length > 0
+  const avgDaily = hasScreenTime
+    ? Math.round(dailyTotalsArray.reduce((sum, d) => sum + d.total, 0) / dailyTotalsArray.length)
+    : 0
 
   // Calculate Wellness Score (0-100)
   // Combines: Steps (30%), Sleep (30%), Exercise (25%), Screen Time (15%)
-  // Ideal values for scoring
-  const idealSteps = 10000
-  const idealSleep = 480 // 8 hours in minutes
-  const idealWorkout = 30 // 30 minutes per day
-  const idealScreenTime = 240 // 4 hours in minutes
+  // Ideal values for scoring come from the profile's goals
+  const idealSteps = goals.steps
+  const idealSleep = goals.sleep
+  const idealWorkout = goals.workout
+  const idealScreenTime = goals.screenTime
   
   // Streak thresholds (can be different from ideal values)
   const streakWorkoutMin = 15 // at least 15 minutes counts as a workout day
@@ -98,18 +223,21 @@ export function computeMetrics(healthData, screenTimeData) {
   const stepsScore = Math.min(100, (avgSteps / idealSteps) * 100)
   const sleepScore = Math.min(100, (avgSleep / idealSleep) * 100)
   const workoutScore = Math.min(100, (avgWorkout / idealWorkout) * 100)
-  const screenTimeScore = Math.min(100, (idealScreenTime / (avgDaily || 1)) * 100) // Inverse - less is better
-  
-  const wellnessScore = Math.round(
-    (stepsScore * 0.30) +
-    (sleepScore * 0.30) +
-    (workoutScore * 0.25) +
-    (screenTimeScore * 0.15)
+  const screenTimeScore = hasScreenTime ? Math.min(100, (idealScreenTime / (avgDaily || 1)) * 100) : 0 // Inverse - less is better
+
+  // Without screen time the health parts make up the whole score
+  const combineScores = (steps, sleep, workout, screenTime) => Math.round(hasScreenTime
+    ? (steps * 0.30) + (sleep * 0.30) + (workout * 0.25) + (screenTime * 0.15)
+    : ((steps * 0.30) + (sleep * 0.30) + (workout * 0.25)) / 0.85
   )
 
-  // Calculate weekly comparison (last 7 days vs previous 7 days)
-  const last7Days = healthData.slice(-7)
-  const previous7Days = healthData.slice(-14, -7)
+  const wellnessScore = combineScores(stepsScore, sleepScore, workoutScore, screenTimeScore)
+
+  // Calculate weekly comparison (last 7 calendar days vs the 7 before, ending at the latest record)
+  const weekStart = addDays(lastDate, -6)
+  const previousWeekStart = addDays(lastDate, -13)
+  const last7Days = countedDays.filter(d => d.date >= weekStart)
+  const previous7Days = countedDays.filter(d => d.date >= previousWeekStart && d.date < weekStart)
   
   const last7AvgSteps = last7Days.length > 0 ? Math.round(last7Days.reduce((sum, d) => sum + d.steps, 0) / last7Days.length) : 0
   const last7AvgSleep = last7Days.length > 0 ? Math.round(last7Days.reduce((sum, d) => sum + d.sleep, 0) / last7Days.length) : 0
@@ -124,8 +252,8 @@ export function computeMetrics(healthData, screenTimeData) {
   const last7WorkoutScore = Math.min(100, (last7AvgWorkout / idealWorkout) * 100)
   
   // Calculate last 7 days screen time
-  const last7Dates = last7Days.map(d => d.date)
-  const prev7Dates = previous7Days.map(d => d.date)
+  const last7Dates = dateRange(weekStart, lastDate)
+  const prev7Dates = dateRange(previousWeekStart, addDays(weekStart, -1))
   
   const last7ScreenTimeData = screenTimeData.filter(item => last7Dates.includes(item.date))
   const prev7ScreenTimeData = screenTimeData.filter(item => prev7Dates.includes(item.date))
@@ -147,19 +275,16 @@ export function computeMetrics(healthData, screenTimeData) {
     : 0
   const last7ScreenTimeScore = Math.min(100, (idealScreenTime / (last7AvgScreenTime || 1)) * 100)
   
-  const last7WellnessScore = Math.round(
-    (last7StepsScore * 0.30) +
-    (last7SleepScore * 0.30) +
-    (last7WorkoutScore * 0.25) +
-    (last7ScreenTimeScore * 0.15)
-  )
+  const last7WellnessScore = combineScores(last7StepsScore, last7SleepScore, last7WorkoutScore, last7ScreenTimeScore)
   
   // Compare this week's score to overall average
   const weeklyChange = last7WellnessScore - wellnessScore
 
-  // Calculate Habit Streaks
+  // Calculate Habit Streaks over consecutive calendar days - a missing day breaks a streak
+  // in every gapMode, so an interpolated day can't carry one across a gap
+  const streakDays = series.map(d => (d.missing ? { ...d, workout: null, sleep: null, steps: null } : d))
   // Calculate current streaks (from most recent day backwards)
-  const sortedHealthData = [...healthData].sort((a, b) => new Date(b.date) - new Date(a.date))
+  const sortedHealthData = [...streakDays].reverse()
   
   let workoutStreak = 0
   let sleepStreak = 0
@@ -200,7 +325,7 @@ export function computeMetrics(healthData, screenTimeData) {
   let currentSleepStreak = 0
   let currentStepsStreak = 0
   
-  const sortedByDate = [...healthData].sort((a, b) => new Date(a.date) - new Date(b.date))
+  const sortedByDate = streakDays
   
   for (const day of sortedByDate) {
     // Workout
@@ -229,7 +354,8 @@ export function computeMetrics(healthData, screenTimeData) {
   }
 
   return {
-    health: { avgSteps, avgSleep, avgEnergy, avgWorkout, workoutDays, totalDays },
+    goals,
+    health: { avgSteps, avgSleep, avgEnergy, avgWorkout, workoutDays, totalDays, calendarDays, missingDays },
     screenTime: { topApps, topCategories, dailyTotals: dailyTotalsArray, avgDaily },
     wellness: { 
       score: wellnessScore, 
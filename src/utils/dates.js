@@ -0,0 +1,77 @@
+// Calendar date helpers. Dates in the data ("YYYY-MM-DD") are days the user lived,
+// not instants, so they are handled as UTC day numbers - the browser's timezone and
+// DST can never shift them. Only "today" depends on the user's timezone
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+// The timezone the browser reports, used when the user hasn't picked one
+export const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone
+
+const toDayNumber = (date) => Date.parse(`${date}T00:00:00Z`) / DAY_MS
+const fromDayNumber = (dayNumber) => new Date(dayNumber * DAY_MS).toISOString().slice(0, 10)
+
+// Rejects malformed strings and impossible dates like 2025-02-30, which Date would roll over
+export function isCalendarDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false
+  const dayNumber = toDayNumber(value)
+  return Number.isFinite(dayNumber) && fromDayNumber(dayNumber) === value
+}
+
+export const addDays = (date, days) => fromDayNumber(toDayNumber(date) + days)
+
+export const daysBetween = (from, to) => toDayNumber(to) - toDayNumber(from)
+
+export function dateRange(from, to) {
+  const dates = []
+  for (let day = toDayNumber(from); day <= toDayNumber(to); day++) {
+    dates.push(fromDayNumber(day))
+  }
+  return dates
+}
+
+// 0 = Sunday ... 6 = Saturday
+export const dayOfWeek = (date) => new Date(toDayNumber(date) * DAY_MS).getUTCDay()
+
+export function isWeekend(date) {
+  const day = dayOfWeek(date)
+  return day === 0 || day === 6
+}
+
+// weekStart uses the same numbering as dayOfWeek
+export const startOfWeek = (date, weekStart = 0) => addDays(date, -((dayOfWeek(date) - weekStart + 7) % 7))
+
+// First and last day of the month a date falls in
+export const startOfMonth = (date) => `${date.slice(0, 7)}-01`
+
+export const endOfMonth = (date) => addDays(addMonths(date, 1), -1)
+
+// The first day of the month `months` on from the one a date falls in
+export function addMonths(date, months) {
+  const [year, month] = date.split('-').map(Number)
+  const index = year * 12 + month - 1 + months
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}-01`
+}
+
+// Chart labels and prompt text, e.g. "Sep 2". Formatted in UTC so the label is the date itself
+export function formatDate(date, options = { month: 'short', day: 'numeric' }) {
+  return new Date(toDayNumber(date) * DAY_MS).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' })
+}
+
+// The calendar day an instant falls on in the given timezone (the browser's by default)
+export function toCalendarDate(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || undefined,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).formatToParts(timestamp)
+  const part = (type) => parts.find(p => p.type === type).value
+  return `${part('year')}-${part('month')}-${part('day')}`
+}
+
+export const today = (timeZone) => toCalendarDate(Date.now(), timeZone)
+
+export function listTimeZones() {
+  return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [BROWSER_TIME_ZONE]
+}
@@ -0,0 +1,69 @@
+// Fitbit data export importer - reads the steps, calories, active minutes and
+// sleep JSON files from the "Physical Activity" and "Sleep" folders
+export const FITBIT_SOURCE = 'fitbit'
+
+const FILE_PATTERNS = {
+  steps: /(^|\/)steps-\d{4}-\d{2}-\d{2}\.json$/,
+  calories: /(^|\/)calories-\d{4}-\d{2}-\d{2}\.json$/,
+  activeMinutes: /(^|\/)(very_active|moderately_active)_minutes-\d{4}-\d{2}-\d{2}\.json$/,
+  sleep: /(^|\/)sleep-\d{4}-\d{2}-\d{2}\.json$/,
+}
+
+export const isFitbitFile = (name) => Object.values(FILE_PATTERNS).some(pattern => pattern.test(name))
+
+// Fitbit timestamps look like "09/01/25 00:00:00" (MM/DD/YY)
+function toISODate(dateTime) {
+  const [month, day, year] = dateTime.slice(0, 8).split('/')
+  return `20${year}-${month}-${day}`
+}
+
+function getDay(days, date) {
+  if (!days[date]) {
+    days[date] = { steps: 0, calories: [], workout: 0, sleep: 0 }
+  }
+  return days[date]
+}
+
+// Calories are logged per minute and include resting burn. The lowest minute of
+// the day approximates the resting rate, so anything above it counts as active
+function activeCalories(minuteValues) {
+  if (!minuteValues.length) return 0
+  const resting = Math.min(...minuteValues)
+  return minuteValues.reduce((sum, value) => sum + (value - resting), 0)
+}
+
+// files: [{ name, text }] - any mix of the export's JSON files
+export function parseFitbitExport(files) {
+  const days = {}
+
+  files.forEach(({ name, text }) => {
+    let entries
+    try {
+      entries = JSON.parse(text)
+    } catch (error) {
+      throw new Error(`${name} is not valid JSON: ${error.message}`)
+    }
+
+    if (FILE_PATTERNS.steps.test(name)) {
+      entries.forEach(e => { getDay(days, toISODate(e.dateTime)).steps += Number(e.value) || 0 })
+    } else if (FILE_PATTERNS.calories.test(name)) {
+      entries.forEach(e => { getDay(days, toISODate(e.dateTime)).calories.push(Number(e.value) || 0) })
+    } else if (FILE_PATTERNS.activeMinutes.test(name)) {
+      entries.forEach(e => { getDay(days, toISODate(e.dateTime)).workout += Number(e.value) || 0 })
+    } else if (FILE_PATTERNS.sleep.test(name)) {
+      // dateOfSleep is already the wake-up day; naps add to the main sleep
+      entries.forEach(e => { getDay(days, e.dateOfSleep).sleep += Number(e.minutesAsleep) || 0 })
+    }
+  })
+
+  return Object.entries(days)
+    .map(([date, day]) => ({
+      date,
+      steps: Math.round(day.steps),
+      sleep_minutes: Math.round(day.sleep),
+      active_energy_kcal: Math.round(activeCalories(day.calories)),
+      workout_minutes: Math.round(day.workout),
+      source: FITBIT_SOURCE,
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date))
+}
@@ -0,0 +1,47 @@
+// Google Takeout Fit importer - reads the "Daily activity metrics.csv" daily
+// aggregates (older takeouts call it "Daily Summaries.csv")
+import { parseCSV } from './csv.js'
+
+export const GOOGLE_FIT_SOURCE = 'google-fit'
+
+const SLEEP_STAGE_COLUMNS = [
+  'Light sleeping duration (ms)',
+  'Deep sleeping duration (ms)',
+  'REM sleeping duration (ms)',
+]
+
+export const isGoogleFitDailyFile = (name) => /(daily activity metrics|daily summaries)\.csv$/i.test(name)
+
+export function isGoogleFitTable(headers) {
+  return headers.includes('Date') && headers.includes('Step count') && headers.includes('Move Minutes count')
+}
+
+export function parseGoogleFitDailyMetrics(text) {
+  const [headers, ...rows] = parseCSV(text)
+  if (!headers || !isGoogleFitTable(headers.map(h => h.trim()))) {
+    throw new Error('This does not look like a Google Fit "Daily activity metrics" CSV')
+  }
+  const index = {}
+  headers.forEach((header, i) => { index[header.trim()] = i })
+  // Columns vary between takeouts, so a missing column reads as 0
+  const value = (row, column) => (index[column] === undefined ? 0 : Number(row[index[column]]) || 0)
+
+  return rows
+    .filter(row => /^\d{4}-\d{2}-\d{2}$/.test(row[index.Date]))
+    .map(row => {
+      // "Sleep duration" is the total when present, otherwise add up the stages
+      const sleepMs = value(row, 'Sleep duration (ms)') ||
+        SLEEP_STAGE_COLUMNS.reduce((sum, column) => sum + value(row, column), 0)
+
+      return {
+        date: row[index.Date],
+        steps: Math.round(value(row, 'Step count')),
+        sleep_minutes: Math.round(sleepMs / 60000),
+        // Fit only exports total calories, which include resting energy
+        active_energy_kcal: Math.round(value(row, 'Calories (kcal)')),
+        // Heart Minutes count moderate-or-better activity, the closest match to workouts
+        workout_minutes: Math.round(value(row, 'Heart Minutes')),
+        source: GOOGLE_FIT_SOURCE,
+      }
+    })
+}
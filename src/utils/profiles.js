@@ -0,0 +1,149 @@
+// Profiles let several people (a household, or a coach's clients) share the app.
+// The profile list, goals, Ask Altu threads and pinned charts live in localStorage; each profile's
+// records live in its own IndexedDB database (see storage.js)
+import { DEFAULT_GOALS } from './data.js'
+
+const STORAGE_KEY = 'altu.profiles'
+const THREADS_KEY = 'altu.threads'
+const LEGACY_CHAT_HISTORY_KEY = 'altu.chat'
+const PINNED_CHARTS_KEY = 'altu.pinnedCharts'
+const MAX_THREADS = 50
+const MAX_PINNED_CHARTS = 12
+
+export const DEFAULT_PROFILE_ID = 'default'
+
+const DEFAULT_STATE = {
+  activeId: DEFAULT_PROFILE_ID,
+  profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Me', goals: DEFAULT_GOALS }],
+}
+
+export function getProfiles() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    if (!stored?.profiles?.length) return DEFAULT_STATE
+    const profiles = stored.profiles.map(profile => ({ ...profile, goals: { ...DEFAULT_GOALS, ...profile.goals } }))
+    const activeId = profiles.some(p => p.id === stored.activeId) ? stored.activeId : profiles[0].id
+    return { activeId, profiles }
+  } catch (error) {
+    console.error('Error reading profiles:', error)
+    return DEFAULT_STATE
+  }
+}
+
+export function saveProfiles(state) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state))
+  return state
+}
+
+export function createProfile(name) {
+  return {
+    id: `profile-${Date.now().toString(36)}`,
+    name: name.trim(),
+    goals: { ...DEFAULT_GOALS },
+  }
+}
+
+// Ask Altu conversations, most recently updated first. Each thread is
+//
+//   {
+//     id, title, createdAt, updatedAt,
+//     turns: [{
+//       question, answer, askedAt,
+//       insights,                      // the pre-computed figures the answer was based on
+//       chart?,                        // drawn with the answer, see chartSpec.js
+//       suggestions?,                  // follow-up questions offered after it
+//       toolCalls?,                    // the analytics tools the model ran for it
+//       verification?,                 // the server's check of its figures against the data
+//       cached?,                       // set when it came from the server's cache
+//       source?,                       // 'rules' or 'reworded' when worked out without the model
+//     }],
+//   }
+export function getThreads(profileId) {
+  try {
+    const stored = localStorage.getItem(`${THREADS_KEY}.${profileId}`)
+    return stored ? JSON.parse(stored) : migrateChatHistory(profileId)
+  } catch (error) {
+    console.error('Error reading chat threads:', error)
+    return []
+  }
+}
+
+// Before threads, Ask Altu kept a flat list of independent questions. Each one
+// becomes a single-turn thread so earlier answers stay available
+function migrateChatHistory(profileId) {
+  const legacyKey = `${LEGACY_CHAT_HISTORY_KEY}.${profileId}`
+  const history = JSON.parse(localStorage.getItem(legacyKey)) || []
+  const threads = history.reverse().map((entry, i) => ({
+    id: `thread-legacy-${i}`,
+    title: entry.question,
+    createdAt: entry.askedAt,
+    updatedAt: entry.askedAt,
+    turns: [{ ...entry, insights: '' }],
+  }))
+  if (threads.length) localStorage.setItem(`${THREADS_KEY}.${profileId}`, JSON.stringify(threads))
+  localStorage.removeItem(legacyKey)
+  return threads
+}
+
+// A thread is only saved once its first question has been answered
+export function createThread(question) {
+  const now = new Date().toISOString()
+  return {
+    id: `thread-${Date.now().toString(36)}`,
+    title: question.trim(),
+    createdAt: now,
+    updatedAt: now,
+    turns: [],
+  }
+}
+
+function writeThreads(profileId, threads) {
+  const trimmed = threads.slice(0, MAX_THREADS)
+  localStorage.setItem(`${THREADS_KEY}.${profileId}`, JSON.stringify(trimmed))
+  return trimmed
+}
+
+// Adds or replaces a thread and moves it to the top of the list
+export function saveThread(profileId, thread) {
+  return writeThreads(profileId, [thread, ...getThreads(profileId).filter(t => t.id !== thread.id)])
+}
+
+export function deleteThread(profileId, threadId) {
+  return writeThreads(profileId, getThreads(profileId).filter(t => t.id !== threadId))
+}
+
+export function clearThreads(profileId) {
+  localStorage.removeItem(`${THREADS_KEY}.${profileId}`)
+  localStorage.removeItem(`${LEGACY_CHAT_HISTORY_KEY}.${profileId}`)
+}
+
+// Charts pinned to the Dashboard from Ask Altu answers, most recent first. Each is
+// { id, spec, question, pinnedAt }; the spec is drawn from the current data, so a
+// pinned chart follows later imports
+export function getPinnedCharts(profileId) {
+  try {
+    return JSON.parse(localStorage.getItem(`${PINNED_CHARTS_KEY}.${profileId}`)) || []
+  } catch (error) {
+    console.error('Error reading pinned charts:', error)
+    return []
+  }
+}
+
+function writePinnedCharts(profileId, charts) {
+  const trimmed = charts.slice(0, MAX_PINNED_CHARTS)
+  localStorage.setItem(`${PINNED_CHARTS_KEY}.${profileId}`, JSON.stringify(trimmed))
+  return trimmed
+}
+
+// Pinning the same chart again moves it back to the top
+export function pinChart(profileId, chart) {
+  return writePinnedCharts(profileId, [chart, ...getPinnedCharts(profileId).filter(c => c.id !== chart.id)])
+}
+
+export function unpinChart(profileId, chartId) {
+  return writePinnedCharts(profileId, getPinnedCharts(profileId).filter(c => c.id !== chartId))
+}
+
+export function clearPinnedCharts(profileId) {
+  localStorage.removeItem(`${PINNED_CHARTS_KEY}.${profileId}`)
+}
@@ -0,0 +1,160 @@
+// Versioned data file format for health_daily.json / screentime.json.
+//
+// Version 0 is the original bare array of records. Version 1 wraps the records
+// in an envelope that says what they are and which units they use:
+//
+//   {
+//     "schemaVersion": 1,
+//     "dataset": "health",
+//     "metadata": { "source": "apple-health", "exportedAt": "2025-09-30T08:00:00.000Z" },
+//     "units": { "sleep": "min", "energy": "kcal", "workout": "min" },
+//     "records": [{ "date": "2025-09-01", "steps": 8200, "sleep": 440, "energy": 520, "workout": 30 }]
+//   }
+//
+// Older files are upgraded one version at a time through MIGRATIONS, so a field
+// rename only needs a new migration instead of breaking every existing file
+import { downloadFile } from './download.js'
+
+export const SCHEMA_VERSION = 1
+
+export const DATASETS = ['health', 'screenTime']
+
+// Units the app works in. Files may declare any unit in UNIT_FACTORS instead
+export const CANONICAL_UNITS = {
+  health: { steps: 'count', sleep: 'min', energy: 'kcal', workout: 'min' },
+  screenTime: { duration: 'min' },
+}
+
+// Multiply by these to convert a value into the canonical unit
+const UNIT_FACTORS = {
+  count: { count: 1 },
+  min: { min: 1, h: 60, s: 1 / 60 },
+  kcal: { kcal: 1, kJ: 1 / 4.184 },
+}
+
+// Fields records have once a file is at the current version
+const REQUIRED_FIELDS = {
+  health: ['date', 'steps', 'sleep', 'energy', 'workout'],
+  screenTime: ['date', 'app', 'duration', 'category'],
+}
+
+// Version 0 field names, used to point at the likely cause when a field is missing
+const VERSION_0_FIELDS = {
+  health: { sleep: 'sleep_minutes', energy: 'active_energy_kcal', workout: 'workout_minutes' },
+  screenTime: { duration: 'minutes' },
+}
+
+// MIGRATIONS[n] upgrades a version n file to version n + 1
+const MIGRATIONS = [
+  // 0 -> 1: wrap the bare array and switch to unit-neutral field names
+  (records, dataset) => ({
+    schemaVersion: 1,
+    dataset,
+    metadata: {},
+    units: { ...CANONICAL_UNITS[dataset] },
+    records: records.map(record => {
+      const { sleep_minutes, active_energy_kcal, workout_minutes, minutes, ...rest } = record
+      return dataset === 'health'
+        ? { ...rest, sleep: sleep_minutes, energy: active_energy_kcal, workout: workout_minutes }
+        : { ...rest, duration: minutes }
+    }),
+  }),
+]
+
+function getVersion(data, name) {
+  if (Array.isArray(data)) return 0
+  if (!data || typeof data !== 'object' || !Array.isArray(data.records)) {
+    throw new Error(`${name} must contain an array of records or an Altu data file`)
+  }
+  if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) {
+    throw new Error(`${name} has an invalid schemaVersion (${data.schemaVersion})`)
+  }
+  if (data.schemaVersion > SCHEMA_VERSION) {
+    throw new Error(`${name} uses schema version ${data.schemaVersion}, but this app only reads up to version ${SCHEMA_VERSION}`)
+  }
+  return data.schemaVersion
+}
+
+// Upgrades a parsed file of any supported version to the current envelope
+export function migrateDataFile(data, dataset, name = 'Data file') {
+  let version = getVersion(data, name)
+  if (version > 0 && data.dataset && data.dataset !== dataset) {
+    throw new Error(`${name} contains ${data.dataset} data, not ${dataset} data`)
+  }
+  let file = data
+  while (version < SCHEMA_VERSION) {
+    file = MIGRATIONS[version](file, dataset)
+    version++
+  }
+  return file
+}
+
+function unitFactor(dataset, field, unit) {
+  const canonical = CANONICAL_UNITS[dataset][field]
+  const factor = UNIT_FACTORS[canonical][unit || canonical]
+  if (factor === undefined) throw new Error(`Unsupported unit "${unit}" for ${field}`)
+  return factor
+}
+
+// A field that no record has means the file doesn't match its declared version,
+// e.g. a renamed column. Gaps in individual records are left to validation
+function checkFields(file, dataset, name) {
+  if (!file.records.length) return
+  const field = REQUIRED_FIELDS[dataset].find(f => file.records.every(record => record[f] === undefined))
+  if (!field) return
+  const oldName = VERSION_0_FIELDS[dataset][field]
+  throw new Error(
+    `${name}: no record has a "${field}" field` +
+    (oldName ? ` (version 0 files call it "${oldName}")` : '')
+  )
+}
+
+// Reads a parsed data file of any version into the app's record shape, converting
+// units and filling in the file's source for records that don't name their own
+export function readDataFile(data, dataset, name = 'Data file') {
+  const file = migrateDataFile(data, dataset, name)
+  checkFields(file, dataset, name)
+  const factors = {}
+  Object.keys(CANONICAL_UNITS[dataset]).forEach(field => {
+    factors[field] = unitFactor(dataset, field, file.units?.[field])
+  })
+  const convert = (value, field) => (typeof value === 'number' && factors[field] !== 1 ? Math.round(value * factors[field]) : value)
+
+  return file.records.map(record => {
+    const source = record.source || file.metadata?.source
+    if (dataset === 'health') {
+      return {
+        date: record.date,
+        steps: convert(record.steps, 'steps'),
+        sleep: convert(record.sleep, 'sleep'),
+        energy: convert(record.energy, 'energy'),
+        workout: convert(record.workout, 'workout'),
+        ...(source && { source }),
+      }
+    }
+    return {
+      date: record.date,
+      app: record.app,
+      minutes: convert(record.duration, 'duration'),
+      category: record.category,
+      ...(source && { source }),
+    }
+  })
+}
+
+// Writes app records as a current-version data file
+export function toDataFile(records, dataset, metadata = {}) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    dataset,
+    metadata: { exportedAt: new Date().toISOString(), ...metadata },
+    units: { ...CANONICAL_UNITS[dataset] },
+    records: dataset === 'health'
+      ? records
+      : records.map(({ minutes, ...record }) => ({ ...record, duration: minutes })),
+  }
+}
+
+export function downloadDataFile(filename, records, dataset) {
+  downloadFile(filename, JSON.stringify(toDataFile(records, dataset), null, 2), 'application/json')
+}
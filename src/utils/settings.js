@@ -0,0 +1,32 @@
+// User preferences kept in localStorage
+import { DEFAULT_SOURCE_PRIORITY } from './data.js'
+
+const STORAGE_KEY = 'altu.settings'
+
+const DEFAULT_SETTINGS = {
+  sourcePriority: DEFAULT_SOURCE_PRIORITY,
+  gapMode: 'gaps',
+  // Empty means the browser's timezone
+  timeZone: '',
+  // 0 = Sunday, 1 = Monday (see WEEKDAYS in dates.js)
+  weekStart: 0,
+}
+
+export function getSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    const settings = { ...DEFAULT_SETTINGS, ...stored }
+    // Sources added since the priority was saved go first
+    const missing = DEFAULT_SOURCE_PRIORITY.filter(source => !settings.sourcePriority.includes(source))
+    return { ...settings, sourcePriority: [...missing, ...settings.sourcePriority] }
+  } catch (error) {
+    console.error('Error reading settings:', error)
+    return { ...DEFAULT_SETTINGS }
+  }
+}
+
+export function updateSettings(changes) {
+  const settings = { ...getSettings(), ...changes }
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+  return settings
+}
@@ -0,0 +1,189 @@
+// IndexedDB storage for imported health and screen time records - survives
+// reloads and lets new days be appended without rewriting everything.
+// Each profile gets its own database so datasets never mix
+import { downloadFile } from './download.js'
+import { loadHealthData, loadScreenTimeData } from './data.js'
+import { DEFAULT_PROFILE_ID } from './profiles.js'
+
+const DB_NAME = 'altu'
+const DB_VERSION = 1
+const HEALTH_STORE = 'health'
+const SCREEN_TIME_STORE = 'screenTime'
+const BACKUP_FORMAT = 'altu-backup'
+
+const dbPromises = new Map()
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// The default profile keeps the original database name so existing data is picked up
+const databaseName = (profileId) => (profileId === DEFAULT_PROFILE_ID ? DB_NAME : `${DB_NAME}-${profileId}`)
+
+function openDB(profileId) {
+  if (!dbPromises.has(profileId)) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available in this browser'))
+    }
+    const request = indexedDB.open(databaseName(profileId), DB_VERSION)
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(HEALTH_STORE)) {
+        db.createObjectStore(HEALTH_STORE, { keyPath: 'date' })
+      }
+      if (!db.objectStoreNames.contains(SCREEN_TIME_STORE)) {
+        db.createObjectStore(SCREEN_TIME_STORE, { keyPath: ['date', 'app'] })
+      }
+    }
+    dbPromises.set(profileId, requestToPromise(request).catch(error => {
+      dbPromises.delete(profileId)
+      throw error
+    }))
+  }
+  return dbPromises.get(profileId)
+}
+
+// Runs fn against the given stores in one transaction and resolves once it commits
+async function transaction(profileId, storeNames, mode, fn) {
+  const db = await openDB(profileId)
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode)
+    let result
+    Promise.resolve(fn(...storeNames.map(name => tx.objectStore(name))))
+      .then(value => { result = value })
+      .catch(error => {
+        tx.abort()
+        reject(error)
+      })
+    tx.oncomplete = () => resolve(result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error || new Error('Storage transaction was aborted'))
+  })
+}
+
+// Keys sort by date, so getAll already returns records in date order
+export function getHealthRecords(profileId) {
+  return transaction(profileId, [HEALTH_STORE], 'readonly', store => requestToPromise(store.getAll()))
+}
+
+export function getScreenTimeRecords(profileId) {
+  return transaction(profileId, [SCREEN_TIME_STORE], 'readonly', store => requestToPromise(store.getAll()))
+}
+
+// Adds new days and overwrites days that already exist
+export function appendHealthRecords(profileId, records) {
+  return transaction(profileId, [HEALTH_STORE], 'readwrite', store => {
+    records.forEach(record => store.put(record))
+  })
+}
+
+export function appendScreenTimeRecords(profileId, records) {
+  return transaction(profileId, [SCREEN_TIME_STORE], 'readwrite', store => {
+    records.forEach(record => store.put(record))
+  })
+}
+
+export function replaceHealthRecords(profileId, records) {
+  return transaction(profileId, [HEALTH_STORE], 'readwrite', store => {
+    store.clear()
+    records.forEach(record => store.put(record))
+  })
+}
+
+export function replaceScreenTimeRecords(profileId, records) {
+  return transaction(profileId, [SCREEN_TIME_STORE], 'readwrite', store => {
+    store.clear()
+    records.forEach(record => store.put(record))
+  })
+}
+
+// Swaps all of one day's screen time entries, e.g. after editing that day by hand
+export function replaceScreenTimeDay(profileId, date, entries) {
+  return transaction(profileId, [SCREEN_TIME_STORE], 'readwrite', store => {
+    // Keys are [date, app]; a shorter array sorts first and any array after a string
+    store.delete(IDBKeyRange.bound([date], [date, []]))
+    entries.forEach(record => store.put(record))
+  })
+}
+
+// Reads the stored records. Only the default profile is seeded from the bundled JSON
+// files on first run (and falls back to them when IndexedDB can't be used, e.g. in
+// private browsing) - new profiles start empty until data is imported
+async function loadStored(profileId, getRecords, loadBundled, replaceRecords) {
+  const seeded = profileId === DEFAULT_PROFILE_ID
+  let stored
+  try {
+    stored = await getRecords(profileId)
+  } catch (error) {
+    if (!seeded) throw error
+    console.error('Error reading stored data, using bundled files:', error)
+    return loadBundled()
+  }
+  if (stored.length || !seeded) return stored
+
+  const bundled = await loadBundled()
+  await replaceRecords(profileId, bundled)
+  return bundled
+}
+
+export function loadStoredHealthData(profileId) {
+  return loadStored(profileId, getHealthRecords, loadHealthData, replaceHealthRecords)
+}
+
+export function loadStoredScreenTimeData(profileId) {
+  return loadStored(profileId, getScreenTimeRecords, loadScreenTimeData, replaceScreenTimeRecords)
+}
+
+// Removes a profile's database along with all of its records
+export async function deleteProfileData(profileId) {
+  if (dbPromises.has(profileId)) {
+    const db = await dbPromises.get(profileId).catch(() => null)
+    if (db) db.close()
+    dbPromises.delete(profileId)
+  }
+  if (typeof indexedDB === 'undefined') return
+  await requestToPromise(indexedDB.deleteDatabase(databaseName(profileId)))
+}
+
+export async function exportBackup(profileId) {
+  const [health, screenTime] = await Promise.all([getHealthRecords(profileId), getScreenTimeRecords(profileId)])
+  return {
+    format: BACKUP_FORMAT,
+    version: DB_VERSION,
+    exportedAt: new Date().toISOString(),
+    health,
+    screenTime,
+  }
+}
+
+export async function downloadBackup(profileId) {
+  const backup = await exportBackup(profileId)
+  const date = backup.exportedAt.slice(0, 10)
+  downloadFile(`altu-backup-${date}.json`, JSON.stringify(backup, null, 2), 'application/json')
+}
+
+export async function readBackupFile(file) {
+  let backup
+  try {
+    backup = JSON.parse(await file.text())
+  } catch (error) {
+    throw new Error(`${file.name} is not valid JSON: ${error.message}`)
+  }
+  if (backup?.format !== BACKUP_FORMAT || !Array.isArray(backup.health) || !Array.isArray(backup.screenTime)) {
+    throw new Error(`${file.name} is not an Altu backup file`)
+  }
+  return backup
+}
+
+// Replaces the whole store in a single transaction so a failed restore leaves the old data intact
+export function restoreBackup(profileId, { health, screenTime }) {
+  return transaction(profileId, [HEALTH_STORE, SCREEN_TIME_STORE], 'readwrite', (healthStore, screenTimeStore) => {
+    healthStore.clear()
+    screenTimeStore.clear()
+    health.forEach(record => healthStore.put(record))
+    screenTime.forEach(record => screenTimeStore.put(record))
+  })
+}
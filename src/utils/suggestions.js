@@ -0,0 +1,216 @@
+// Suggested questions built from the user's own data: starters for Ask Altu and
+// for each Dashboard chart, and follow-ups to an answer. The server picks the
+// follow-ups from the question it just parsed (see server/queryParser.js) and
+// sends them with the answer. Every suggestion is a question Ask Altu can answer,
+// mostly phrased the way the rule engine reads them
+import { addDays, daysBetween } from './dates.js'
+
+const MAX_STARTERS = 6
+const MAX_FOLLOW_UPS = 3
+
+// How the questions name each metric, whether it takes "have" or "has", and its daily amount
+const METRIC_WORDS = {
+  steps: { name: 'steps', plural: true, daily: 'steps per day' },
+  sleep: { name: 'sleep', daily: 'sleep per day' },
+  energy: { name: 'active energy', daily: 'active energy per day' },
+  workout: { name: 'workouts', plural: true, daily: 'workout time per day' },
+  screenTime: { name: 'screen time', daily: 'screen time per day' },
+}
+
+const HEALTH_METRICS = ['steps', 'sleep', 'energy', 'workout']
+
+// An app counts as unusually high when its last week is at least this many times
+// its usual daily use, and at least SPIKE_MIN_MINUTES a day
+const SPIKE_RATIO = 1.5
+const SPIKE_MIN_MINUTES = 15
+
+const has = (metric) => (METRIC_WORDS[metric].plural ? 'Have' : 'Has')
+
+function appTotals(screenTimeData) {
+  const totals = {}
+  screenTimeData.forEach(item => {
+    totals[item.app] = (totals[item.app] || 0) + item.minutes
+  })
+  return Object.entries(totals).sort((a, b) => b[1] - a[1]).map(([app]) => app)
+}
+
+// The app whose last week is furthest above its usual use, as { app, recent,
+// usual } in minutes a day, or null when none stands out
+export function findAppSpike(screenTimeData) {
+  if (!screenTimeData.length) return null
+  const dates = screenTimeData.map(item => item.date).sort()
+  const recentFrom = addDays(dates[dates.length - 1], -6)
+  const earlierDays = daysBetween(dates[0], recentFrom)
+  if (earlierDays < 7) return null
+
+  const recent = {}
+  const earlier = {}
+  screenTimeData.forEach(item => {
+    const totals = item.date >= recentFrom ? recent : earlier
+    totals[item.app] = (totals[item.app] || 0) + item.minutes
+  })
+  const spikes = Object.entries(recent)
+    .map(([app, minutes]) => ({ app, recent: Math.round(minutes / 7), usual: Math.round((earlier[app] || 0) / earlierDays) }))
+    .filter(({ recent, usual }) => recent >= SPIKE_MIN_MINUTES && recent >= usual * SPIKE_RATIO)
+    .sort((a, b) => b.recent / Math.max(b.usual, 1) - a.recent / Math.max(a.usual, 1))
+  return spikes[0] || null
+}
+
+// The health metric that moved most over the last two weeks against the two
+// before, as { metric, direction: 'up' | 'down' }, or null
+function biggestChange(healthData) {
+  if (healthData.length < 28) return null
+  const average = (records, metric) => records.reduce((sum, d) => sum + d[metric], 0) / records.length
+  const recent = healthData.slice(-14)
+  const previous = healthData.slice(-28, -14)
+  const [change] = HEALTH_METRICS
+    .map(metric => {
+      const before = average(previous, metric)
+      return { metric, change: before ? (average(recent, metric) - before) / before : 0 }
+    })
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+  return change.change ? { metric: change.metric, direction: change.change > 0 ? 'up' : 'down' } : null
+}
+
+const spikeQuestion = ({ app, recent, usual }) =>
+  `My ${app} use is up to ${recent} min a day in the past week from ${usual} before - is that unusual?`
+
+const trendQuestion = (metric, direction = 'up') =>
+  `${has(metric)} my ${METRIC_WORDS[metric].name} gone ${direction} in the last 2 weeks vs the two before?`
+
+const weekdayQuestion = (app) => `How does time using ${app} differ weekday vs. weekend?`
+
+// Drops repeats and questions equal to the one just asked, then keeps the first `max`
+function pick(questions, max, asked = '') {
+  const seen = new Set([asked.trim().toLowerCase()])
+  return questions.filter(question => {
+    if (!question || seen.has(question.toLowerCase())) return false
+    seen.add(question.toLowerCase())
+    return true
+  }).slice(0, max)
+}
+
+// Starter questions for Ask Altu. data is { healthData, screenTimeData }
+export function starterQuestions({ healthData, screenTimeData }) {
+  const [topApp] = appTotals(screenTimeData)
+  const spike = findAppSpike(screenTimeData)
+  const change = biggestChange(healthData)
+  const workoutDays = healthData.filter(d => d.workout > 0).length
+  const days = healthData.length >= 90 ? 90 : healthData.length >= 30 ? 30 : 7
+  return pick([
+    change && trendQuestion(change.metric, change.direction),
+    spike && spikeQuestion(spike),
+    workoutDays && workoutDays < healthData.length && 'How does exercise relate to sleep?',
+    topApp && weekdayQuestion(topApp),
+    screenTimeData.length && 'Which app do I use the most?',
+    screenTimeData.length && 'What is my average screen time per day?',
+    healthData.length && `How many days did I work out in the last ${days} days?`,
+    !change && healthData.length && 'How have my steps trended over the past month?',
+  ], MAX_STARTERS)
+}
+
+// Starter questions for a Dashboard chart, from the spec it is drawn from (see
+// chartSpec.js), and the follow-ups to a question about it (other than `asked`).
+// Questions about "this chart" are answered from exactly its series and dates
+export function chartQuestions({ groupBy, series }, { healthData, screenTimeData }, asked = '') {
+  const [{ metric, app, category }, second] = series
+  const name = app || METRIC_WORDS[metric].name
+  const change = biggestChange(healthData)
+  const trend = (m) => HEALTH_METRICS.includes(m) && trendQuestion(m, change?.metric === m ? change.direction : 'up')
+  const spike = metric === 'screenTime' && findAppSpike(category ? screenTimeData.filter(item => item.category === category) : screenTimeData)
+  let questions
+
+  if (groupBy === 'app' || groupBy === 'category') {
+    const [topApp] = appTotals(category ? screenTimeData.filter(item => item.category === category) : screenTimeData)
+    questions = [
+      spike && spikeQuestion(spike),
+      groupBy === 'app' && topApp && weekdayQuestion(topApp),
+      `What share of the total does the top ${groupBy} on this chart take?`,
+      groupBy === 'app' && !category && 'Which category do I use most?',
+    ]
+  } else if (groupBy === 'workout') {
+    questions = [
+      `What is the difference in my ${name} between workout and rest days on this chart?`,
+      `Does working out affect my ${name} the next ${metric === 'sleep' ? 'night' : 'day'}?`,
+      trend(metric),
+    ]
+  } else if (groupBy === 'weekday-weekend') {
+    questions = [
+      app ? weekdayQuestion(app) : `What is the difference in my ${name} between weekdays and weekends?`,
+      !app && `Do I get more ${name} on weekends?`,
+      trend(metric),
+    ]
+  } else if (second) {
+    const pair = [metric, second.metric]
+    // Sleep is the one affected, and a workout the likely cause of the other metric
+    const effect = pair.includes('sleep') ? 'sleep' : pair.includes('workout') && pair.find(m => m !== 'workout')
+    const cause = effect && pair.find(m => m !== effect)
+    questions = [
+      `How do my ${name} and ${second.app || METRIC_WORDS[second.metric].name} relate on this chart?`,
+      effect && cause && `Does ${cause === 'workout' ? 'working out' : `my ${METRIC_WORDS[cause].name}`} affect my ${METRIC_WORDS[effect].name} the next ${effect === 'sleep' ? 'night' : 'day'}?`,
+      [metric, second.metric].includes('workout') && `Show my ${METRIC_WORDS[metric === 'workout' ? second.metric : metric].name} on workout vs rest days`,
+      trend(metric),
+    ]
+  } else {
+    questions = [
+      trend(metric),
+      spike && (!app || spike.app === app) && spikeQuestion(spike),
+      `What is my average ${app ? `${app} time per day` : METRIC_WORDS[metric].daily} on this chart?`,
+      `Which day on this chart had the most ${app ? `${app} time` : name}?`,
+      metric === 'screenTime' && !app && 'Does my screen time affect my sleep?',
+    ]
+  }
+  return pick(questions, MAX_FOLLOW_UPS, asked)
+}
+
+// Follow-ups to an answer. query is the parsed question it answered, data is
+// { healthData, screenTimeData }
+export function followUpQuestions(query, { healthData, screenTimeData }, asked = '') {
+  const { intent, metrics, apps } = query
+  const [topApp] = appTotals(screenTimeData)
+  const healthMetric = metrics.find(metric => HEALTH_METRICS.includes(metric))
+  const other = metrics.find(metric => metric !== 'workout')
+  let questions = []
+
+  if (intent === 'ranking' && metrics.includes('screenTime')) {
+    const spike = findAppSpike(screenTimeData)
+    questions = [spike && spikeQuestion(spike), topApp && weekdayQuestion(topApp), 'Show my most used apps as a chart']
+  } else if (apps.length) {
+    questions = [`Show me ${apps[0]} on weekdays vs weekends`, 'Which app do I use the most?', 'Does my screen time affect my sleep?']
+  } else if (intent === 'trend' && metrics.includes('sleep')) {
+    // What came before the nights that changed: the day's workout or screen time
+    questions = [
+      'Does working out affect my sleep the next night?',
+      screenTimeData.length && 'Does my screen time affect my sleep the next night?',
+      'Plot my sleep over the last 30 days',
+    ]
+  } else if (intent === 'trend' && healthMetric) {
+    questions = [
+      `Show my ${METRIC_WORDS[healthMetric].name} over the last 30 days`,
+      healthMetric !== 'workout' && `How does exercise relate to ${METRIC_WORDS[healthMetric].name}?`,
+      `What is my average ${METRIC_WORDS[healthMetric].daily}?`,
+    ]
+  } else if (intent === 'correlation' && metrics.includes('workout') && other) {
+    questions = [
+      `Show my ${METRIC_WORDS[other].name} on workout vs rest days`,
+      `Does working out affect my ${METRIC_WORDS[other].name} the next ${other === 'sleep' ? 'night' : 'day'}?`,
+      trendQuestion(other),
+    ]
+  } else if (intent === 'correlation' && metrics.length >= 2) {
+    // Sleep is the one affected: the day before's screen time, not the other way round
+    const [cause, effect] = metrics.includes('sleep') ? [metrics.find(m => m !== 'sleep'), 'sleep'] : metrics
+    questions = [
+      `Plot my ${METRIC_WORDS[cause].name} and ${METRIC_WORDS[effect].name} over the last 30 days`,
+      `Does my ${METRIC_WORDS[cause].name} affect my ${METRIC_WORDS[effect].name} the next ${effect === 'sleep' ? 'night' : 'day'}?`,
+    ]
+  } else if ((intent === 'average' || intent === 'total') && metrics.length) {
+    const [metric] = metrics
+    questions = [
+      metric !== 'screenTime' && trendQuestion(metric),
+      metric === 'screenTime' ? 'Which app do I use the most?' : `Show my ${METRIC_WORDS[metric].name} over the last 30 days`,
+      metric === 'sleep' && 'Do I sleep more on days I work out?',
+    ]
+  }
+  const followUps = pick(questions, MAX_FOLLOW_UPS, asked)
+  return followUps.length ? followUps : pick(starterQuestions({ healthData, screenTimeData }), MAX_FOLLOW_UPS, asked)
+}
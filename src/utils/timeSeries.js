@@ -0,0 +1,61 @@
+// Gap-aware daily time series - works in calendar days rather than records so
+// missing days are visible instead of silently shortening windows and streaks
+import { dateRange } from './dates.js'
+
+// How missing days are handled: left empty, counted as zero, or interpolated
+export const GAP_MODES = {
+  gaps: 'Leave gaps',
+  zero: 'Zero-fill',
+  interpolate: 'Interpolate',
+}
+
+export const HEALTH_FIELDS = ['steps', 'sleep', 'energy', 'workout']
+
+export function findMissingDates(records) {
+  if (!records.length) return []
+  const present = new Set(records.map(r => r.date))
+  const sorted = [...present].sort()
+  return dateRange(sorted[0], sorted[sorted.length - 1]).filter(date => !present.has(date))
+}
+
+// Linear interpolation between the nearest recorded days on either side.
+// Missing days at the edges of the series have no neighbour and stay null
+function interpolate(series, fields) {
+  fields.forEach(field => {
+    let previous = -1
+    series.forEach((point, i) => {
+      if (point[field] === null) return
+      if (previous !== -1 && i - previous > 1) {
+        const start = series[previous][field]
+        const step = (point[field] - start) / (i - previous)
+        for (let j = previous + 1; j < i; j++) {
+          series[j][field] = Math.round(start + step * (j - previous))
+        }
+      }
+      previous = i
+    })
+  })
+}
+
+// Returns one point per calendar day from `from` to `to` (defaulting to the first
+// and last record). Days without a record get `missing: true` and their fields
+// filled according to mode
+export function fillDateGaps(records, fields, { mode = 'gaps', from, to } = {}) {
+  const byDate = new Map(records.map(r => [r.date, r]))
+  const dates = [...byDate.keys()].sort()
+  const start = from || dates[0]
+  const end = to || dates[dates.length - 1]
+  if (!start || !end) return []
+
+  const series = dateRange(start, end).map(date => {
+    const record = byDate.get(date)
+    if (record) return { ...record, missing: false }
+
+    const point = { date, missing: true }
+    fields.forEach(field => { point[field] = mode === 'zero' ? 0 : null })
+    return point
+  })
+
+  if (mode === 'interpolate') interpolate(series, fields)
+  return series
+}
@@ -0,0 +1,110 @@
+// Record validation for imported health and screen time data - returns the
+// records that passed plus a per-row error report instead of throwing
+import { isCalendarDate } from './dates.js'
+
+// Screen Time categories as reported by iOS
+export const KNOWN_CATEGORIES = [
+  'Creativity',
+  'Education',
+  'Entertainment',
+  'Games',
+  'Health & Fitness',
+  'Information & Reading',
+  'Other',
+  'Productivity & Finance',
+  'Shopping & Food',
+  'Social',
+  'Travel',
+  'Utilities',
+]
+
+// Plausible ranges for a single day
+const HEALTH_RANGES = {
+  steps: { min: 0, max: 100000, label: 'Steps' },
+  sleep: { min: 0, max: 1440, label: 'Sleep minutes' },
+  energy: { min: 0, max: 10000, label: 'Active energy' },
+  workout: { min: 0, max: 1440, label: 'Workout minutes' },
+}
+
+const SCREEN_TIME_RANGE = { min: 0, max: 1440, label: 'Minutes' }
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/
+
+function checkDate(value) {
+  if (value === undefined || value === null || value === '') return 'Date is required'
+  if (typeof value !== 'string' || !ISO_DATE.test(value)) return `"${value}" is not an ISO date (YYYY-MM-DD)`
+  if (!isCalendarDate(value)) return `${value} is not a valid calendar date`
+  return null
+}
+
+function checkNumber(value, { min, max, label }) {
+  if (value === undefined || value === null || value === '') return `${label} is required`
+  if (typeof value !== 'number' || !Number.isFinite(value)) return `${label} must be a number`
+  if (value < min || value > max) return `${label} must be between ${min} and ${max} (got ${value})`
+  return null
+}
+
+// firstRow is the row number of records[0] in the source file, e.g. 2 for a CSV with a header
+export function validateHealthRecords(records, { firstRow = 1 } = {}) {
+  const valid = []
+  const errors = []
+  const seenDates = new Set()
+
+  records.forEach((record, i) => {
+    const row = firstRow + i
+    const rowErrors = []
+    const addError = (field, message) => message && rowErrors.push({ row, field, message })
+
+    addError('date', checkDate(record.date))
+    Object.entries(HEALTH_RANGES).forEach(([field, range]) => {
+      addError(field, checkNumber(record[field], range))
+    })
+    if (!rowErrors.length && seenDates.has(record.date)) {
+      addError('date', `Duplicate date ${record.date}`)
+    }
+
+    if (rowErrors.length) {
+      errors.push(...rowErrors)
+    } else {
+      seenDates.add(record.date)
+      valid.push(record)
+    }
+  })
+
+  return { valid, errors }
+}
+
+export function validateScreenTimeRecords(records, { firstRow = 1 } = {}) {
+  const valid = []
+  const errors = []
+  const seenEntries = new Set()
+
+  records.forEach((record, i) => {
+    const row = firstRow + i
+    const rowErrors = []
+    const addError = (field, message) => message && rowErrors.push({ row, field, message })
+
+    addError('date', checkDate(record.date))
+    if (typeof record.app !== 'string' || !record.app.trim()) {
+      addError('app', 'App name is required')
+    }
+    addError('minutes', checkNumber(record.minutes, SCREEN_TIME_RANGE))
+    if (!KNOWN_CATEGORIES.includes(record.category)) {
+      addError('category', record.category ? `Unknown category "${record.category}"` : 'Category is required')
+    }
+
+    const key = `${record.date}|${record.app}`
+    if (!rowErrors.length && seenEntries.has(key)) {
+      addError('app', `Duplicate entry for ${record.app} on ${record.date}`)
+    }
+
+    if (rowErrors.length) {
+      errors.push(...rowErrors)
+    } else {
+      seenEntries.add(key)
+      valid.push(record)
+    }
+  })
+
+  return { valid, errors }
+}
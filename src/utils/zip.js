@@ -0,0 +1,79 @@
+// Minimal zip reader - lists entries from the central directory and streams
+// a single entry without reading the whole archive into memory
+const EOCD_SIGNATURE = 0x06054b50
+const CENTRAL_SIGNATURE = 0x02014b50
+const LOCAL_SIGNATURE = 0x04034b50
+
+async function readBytes(file, start, end) {
+  return new DataView(await file.slice(start, end).arrayBuffer())
+}
+
+export async function listZipEntries(file) {
+  // End of central directory record sits in the last 22 bytes + up to 64KB of comment
+  const tailStart = Math.max(0, file.size - 22 - 0xffff)
+  const tail = await readBytes(file, tailStart, file.size)
+
+  let eocd = -1
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocd = i
+      break
+    }
+  }
+  if (eocd === -1) throw new Error('Not a valid zip file')
+
+  const entryCount = tail.getUint16(eocd + 10, true)
+  const directorySize = tail.getUint32(eocd + 12, true)
+  const directoryOffset = tail.getUint32(eocd + 16, true)
+  if (directoryOffset === 0xffffffff || entryCount === 0xffff) {
+    throw new Error('Zip64 archives are not supported - please unzip and import export.xml directly')
+  }
+
+  const directory = await readBytes(file, directoryOffset, directoryOffset + directorySize)
+  const decoder = new TextDecoder()
+  const entries = []
+  let offset = 0
+
+  for (let i = 0; i < entryCount; i++) {
+    if (directory.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+      throw new Error('Corrupt zip central directory')
+    }
+    const method = directory.getUint16(offset + 10, true)
+    const compressedSize = directory.getUint32(offset + 20, true)
+    const size = directory.getUint32(offset + 24, true)
+    const nameLength = directory.getUint16(offset + 28, true)
+    const extraLength = directory.getUint16(offset + 30, true)
+    const commentLength = directory.getUint16(offset + 32, true)
+    const localHeaderOffset = directory.getUint32(offset + 42, true)
+    const nameBytes = new Uint8Array(directory.buffer, directory.byteOffset + offset + 46, nameLength)
+
+    entries.push({
+      name: decoder.decode(nameBytes),
+      method,
+      compressedSize,
+      size,
+      localHeaderOffset,
+    })
+    offset += 46 + nameLength + extraLength + commentLength
+  }
+
+  return entries
+}
+
+// Returns a ReadableStream of the entry's uncompressed bytes
+export async function openZipEntry(file, entry) {
+  const header = await readBytes(file, entry.localHeaderOffset, entry.localHeaderOffset + 30)
+  if (header.getUint32(0, true) !== LOCAL_SIGNATURE) {
+    throw new Error(`Corrupt zip entry: ${entry.name}`)
+  }
+  const dataStart = entry.localHeaderOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true)
+  const raw = file.slice(dataStart, dataStart + entry.compressedSize).stream()
+
+  if (entry.method === 0) return raw
+  if (entry.method === 8) return raw.pipeThrough(new DecompressionStream('deflate-raw'))
+  throw new Error(`Unsupported zip compression method ${entry.method} for ${entry.name}`)
+}
+
+export async function readZipEntryText(file, entry) {
+  return new Response(await openZipEntry(file, entry)).text()
+}